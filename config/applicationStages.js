@@ -0,0 +1,54 @@
+// config/applicationStages.js
+// Application pipeline used by OJT coordinators. Edit TRANSITIONS / ACTORS
+// to change the workflow; models/Application.js and routes/applications.js
+// read everything from here.
+
+const STAGES = [
+  'submitted',
+  'screening',
+  'interview',
+  'offered',
+  'accepted',
+  'rejected',
+  'withdrawn',
+];
+
+const INITIAL_STAGE = 'submitted';
+
+// from -> allowed next stages (empty = terminal)
+const TRANSITIONS = {
+  submitted: ['screening', 'interview', 'rejected', 'withdrawn'],
+  screening: ['interview', 'offered', 'rejected', 'withdrawn'],
+  interview: ['offered', 'rejected', 'withdrawn'],
+  offered: ['accepted', 'rejected', 'withdrawn'],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+// target stage -> who may move an application into it ('applicant' = its owner)
+const DEFAULT_ACTORS = ['admin'];
+const ACTORS = {
+  accepted: ['applicant', 'admin'],
+  withdrawn: ['applicant', 'admin'],
+};
+
+// Stages that no longer count towards Job.applications
+const INACTIVE_STAGES = ['withdrawn'];
+
+const isStage = (v) => STAGES.includes(v);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const canActorMoveTo = (to, actor) => (ACTORS[to] || DEFAULT_ACTORS).includes(actor);
+
+module.exports = {
+  STAGES,
+  INITIAL_STAGE,
+  TRANSITIONS,
+  ACTORS,
+  INACTIVE_STAGES,
+  isStage,
+  canTransition,
+  canActorMoveTo,
+};
@@ -0,0 +1,47 @@
+// config/scheduledTasks.js
+// Recurring background tasks run by utils/scheduler.js. Schedules are cron
+// expressions in Manila time; names are what the admin scheduler endpoints use.
+const { defineTask } = require('../utils/scheduler');
+const { runAlertDigests } = require('../utils/jobAlerts');
+const { refreshSearchTerms } = require('../utils/searchSuggest');
+const { closeExpiredJobs } = require('../utils/jobExpiry');
+const { purgeSearchLogs } = require('../utils/searchAnalytics');
+const { runPublishingSchedule } = require('../utils/jobPublishing');
+
+const TASKS = [
+  {
+    // Due searches are picked by their own watermark, so hourly covers every frequency
+    name: 'alert-digests',
+    schedule: '0 * * * *',
+    description: 'Email saved-search digests that are due',
+    run: async (now) => ({ sent: await runAlertDigests(now) }),
+  },
+  {
+    name: 'search-terms',
+    schedule: '*/15 * * * *',
+    description: 'Rebuild the autocomplete vocabulary (GET /api/search/suggest)',
+    run: async (now) => ({ terms: await refreshSearchTerms(now) }),
+  },
+  {
+    name: 'job-expiry',
+    schedule: '5 * * * *',
+    description: 'Close jobs past their application deadline and tell the company',
+    run: (now) => closeExpiredJobs(now),
+  },
+  {
+    name: 'job-publishing',
+    schedule: '* * * * *',
+    description: 'Publish drafts whose publishAt has come and unpublish jobs past unpublishAt',
+    run: (now) => runPublishingSchedule(now),
+  },
+  {
+    name: 'search-log-retention',
+    schedule: '30 3 * * *',
+    description: 'Delete search logs older than SEARCH_LOG_RETENTION_DAYS (default 365)',
+    run: (now) => purgeSearchLogs(now),
+  },
+];
+
+TASKS.forEach(defineTask);
+
+module.exports = TASKS;
@@ -1,23 +1,20 @@
 const Company = require('../models/Company');
 const { validationResult } = require('express-validator');
+const { buildLocationFilter } = require('../utils/jobSearch');
 
 // Get all companies
 const getAllCompanies = async (req, res) => {
   try {
-    const { page = 1, limit = 10, industry, city, isAccredited, search } = req.query;
+    const { page = 1, limit = 10, industry, region, province, city, isAccredited, search } = req.query;
     
-    let query = { isActive: true };
+    // Region/province/city by PSGC code or name
+    let query = { ...buildLocationFilter({ region, province, city }), isActive: true };
     
     // Filter by industry
     if (industry) {
       query.industry = { $regex: industry, $options: 'i' };
     }
     
-    // Filter by city
-    if (city) {
-      query['address.city'] = { $regex: city, $options: 'i' };
-    }
-    
     // Filter by accreditation status
     if (isAccredited !== undefined) {
       query.isAccredited = isAccredited === 'true';
@@ -29,7 +26,7 @@ const getAllCompanies = async (req, res) => {
         { name: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } },
         { industry: { $regex: search, $options: 'i' } },
-        { 'address.city': { $regex: search, $options: 'i' } }
+        { 'city.name': { $regex: search, $options: 'i' } }
       ];
     }
     
@@ -2,28 +2,47 @@
 const Job = require('../models/Job');
 const Company = require('../models/Company');
 const { validationResult } = require('express-validator');
+const { notifyNewJob } = require('../utils/jobAlerts');
+const { isPublishAttempt } = require('../utils/jobPublishing');
+const { omitModerationFields, moderateJob } = require('../utils/jobModeration');
+const { resolveSort, buildAdvancedJobFilter, locationQuery, aggregateJobSearch } = require('../utils/jobSearch');
+const { withFuzzyFallback, updateJobVocabulary } = require('../utils/fuzzySearch');
+const { loadSynonyms, expandQuery, matchPhrases } = require('../utils/synonyms');
+const { logSearch } = require('../utils/searchAnalytics');
+const { recordJobView } = require('../utils/jobViews');
+const { withHighlights, parseHighlightOptions } = require('../utils/highlight');
 
 /* -------------------------------------------------------------------------- */
 /*                              GET ALL JOBS                                  */
 /* -------------------------------------------------------------------------- */
+// Mount after middleware/jobSearchValidation for the advanced filters
 const getAllJobs = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     const {
-      page = 1,
-      limit = 10,
+      cursor,
+      limit,
       jobType,
       location,
       company,
       category,
       search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
+      sort,
+      near,
+      withTotal,
     } = req.query;
 
-    const query = { status: 'active', isApproved: true };
+    const query = { ...buildAdvancedJobFilter(req.query), status: 'active', isApproved: true };
 
     if (jobType) query.jobType = jobType;
-    if (location) query.location = { $regex: location, $options: 'i' };
+    if (location) Object.assign(query, locationQuery(location));
 
     // Filter by company name
     if (company) {
@@ -36,36 +55,21 @@ const getAllJobs = async (req, res) => {
 
     if (category) query.categories = { $in: [new RegExp(category, 'i')] };
 
-    // Keyword search
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { shortDescription: { $regex: search, $options: 'i' } },
-        { categories: { $in: [new RegExp(search, 'i')] } },
-      ];
-    }
-
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const jobs = await Job.find(query)
-      .populate({
-        path: 'company',
-        select: 'name industry logoUrl location website email phone',
-      })
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Job.countDocuments(query);
-
-    res.json({
-      jobs,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
+    // Keyword search (weighted text index)
+    if (search) query.$text = { $search: search };
+
+    // Keyset pagination: pass back nextCursor/prevCursor as ?cursor=
+    const result = await aggregateJobSearch({
+      match: query,
+      q: search,
+      sort: resolveSort({ q: search, sort, near }),
+      near,
+      cursor,
+      limit,
+      withTotal: withTotal === 'true',
     });
+
+    res.json(result);
   } catch (error) {
     console.error('Get all jobs error:', error);
     res.status(500).json({ message: 'Server error fetching jobs' });
@@ -88,10 +92,8 @@ const getJobById = async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    // Increment view count if implemented
-    if (typeof job.incrementViews === 'function') {
-      await job.incrementViews();
-    }
+    // Deduplicated per visitor; admins and bots are not counted
+    recordJobView(req, job).catch((e) => console.error('[Views] record failed:', e.message));
 
     res.json({ job });
   } catch (error) {
@@ -114,7 +116,7 @@ const createJob = async (req, res) => {
     }
 
     const jobData = {
-      ...req.body,
+      ...omitModerationFields(req.body),
       createdBy: req.user?.id,
     };
 
@@ -125,6 +127,7 @@ const createJob = async (req, res) => {
 
     const job = new Job(jobData);
     await job.save();
+    updateJobVocabulary(job);
 
     // Populate full company details for frontend
     await job.populate({
@@ -132,6 +135,8 @@ const createJob = async (req, res) => {
       select: 'name industry logoUrl location website email phone',
     });
 
+    notifyNewJob(job).catch((e) => console.error('[Alerts] notify failed:', e.message));
+
     res.status(201).json({
       message: 'Job created successfully',
       job,
@@ -157,6 +162,9 @@ const updateJob = async (req, res) => {
 
     const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ message: 'Job not found' });
+    if (isPublishAttempt(job, req.body)) {
+      return res.status(409).json({ message: 'Publish drafts with POST /api/admin/jobs/:id/publish' });
+    }
 
     if (req.body.company) {
       const company = await Company.findById(req.body.company);
@@ -165,8 +173,9 @@ const updateJob = async (req, res) => {
       }
     }
 
-    Object.assign(job, { ...req.body, lastUpdatedBy: req.user?.id });
+    Object.assign(job, { ...omitModerationFields(req.body), lastUpdatedBy: req.user?.id });
     await job.save();
+    updateJobVocabulary(job);
 
     await job.populate({
       path: 'company',
@@ -190,6 +199,7 @@ const deleteJob = async (req, res) => {
 
     job.status = 'closed';
     await job.save();
+    updateJobVocabulary(job);
 
     res.json({ message: 'Job deleted successfully' });
   } catch (error) {
@@ -206,11 +216,11 @@ const approveJob = async (req, res) => {
     const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ message: 'Job not found' });
 
-    job.isApproved = true;
-    job.status = 'active';
-    await job.save();
+    // Records the decision, emails the submitter and sends alerts; null if
+    // it was already approved
+    const approved = await moderateJob(job._id, { action: 'approve', reason: req.body?.reason, by: req.user?.id });
 
-    res.json({ message: 'Job approved successfully', job });
+    res.json({ message: 'Job approved successfully', job: approved || job });
   } catch (error) {
     console.error('Approve job error:', error);
     res.status(500).json({ message: 'Server error approving job' });
@@ -287,34 +297,71 @@ const getJobStatistics = async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /*                               SEARCH JOBS                                 */
 /* -------------------------------------------------------------------------- */
+// Mount after middleware/jobSearchValidation for the advanced filters
 const searchJobs = async (req, res) => {
   try {
-    const { query, location, jobType, category } = req.query;
-    const searchQuery = { status: 'active', isApproved: true };
-
-    if (query) {
-      searchQuery.$or = [
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } },
-        { shortDescription: { $regex: query, $options: 'i' } },
-        { categories: { $in: [new RegExp(query, 'i')] } },
-      ];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
     }
 
-    if (location) searchQuery.location = { $regex: location, $options: 'i' };
+    const { query, location, jobType, category } = req.query;
+    const searchQuery = { ...buildAdvancedJobFilter(req.query), status: 'active', isApproved: true };
+
+    if (location) Object.assign(searchQuery, locationQuery(location));
     if (jobType) searchQuery.jobType = jobType;
     if (category) searchQuery.categories = { $in: [new RegExp(category, 'i')] };
 
-    const jobs = await Job.find(searchQuery)
-      .populate({
-        path: 'company',
-        select: 'name industry logoUrl location website email phone',
-      })
-      .select('title company location jobType duration startDate applicationDeadline')
-      .limit(20)
-      .sort({ createdAt: -1 });
+    const { cursor, limit, near } = req.query;
+    const logged = Boolean(query) && !cursor; // first pages feed search analytics
+    const synonyms = query ? await loadSynonyms() : null;
+    const runSearch = async (text) => {
+      // Synonyms widen the $text match (multi-word ones as phrases); cursors
+      // and scores keep the typed text
+      const { query: expanded, phrases, expansion } = expandQuery(text, synonyms);
+      const page = await aggregateJobSearch({
+        match: text ? await matchPhrases({ ...searchQuery, $text: { $search: expanded } }, phrases) : searchQuery,
+        q: text,
+        sort: resolveSort({ q: text, sort: req.query.sort, near }),
+        near,
+        cursor,
+        limit,
+        withTotal: logged,
+        project: {
+          title: 1,
+          shortDescription: 1,
+          description: 1,
+          skillsRequired: 1,
+          location: 1,
+          jobType: 1,
+          duration: 1,
+          startDate: 1,
+          applicationDeadline: 1,
+        },
+      });
+      return { ...page, expansion, expandedQuery: [expanded, ...phrases].join(' ') };
+    };
 
-    res.json({ jobs });
+    // No hits: suggests typo-corrected terms (didYouMean) and, unless
+    // ?autoCorrect=false, returns their results instead
+    const { jobs, expandedQuery, ...meta } = await withFuzzyFallback(query, runSearch, {
+      cursor,
+      autoCorrect: req.query.autoCorrect !== 'false',
+    });
+    // searchId ties result clicks (POST /api/search/clicks) back to this search
+    const log = logged
+      ? await logSearch(req, { term: query, resultCount: meta.total, correctedTerm: meta.correctedQuery, filters: req.query })
+          .catch((err) => console.error('logSearch:', err))
+      : null;
+
+    res.json({
+      jobs: withHighlights(jobs, expandedQuery, parseHighlightOptions(req.query)),
+      ...meta,
+      ...(log ? { searchId: log._id } : {}),
+    });
   } catch (error) {
     console.error('Search jobs error:', error);
     res.status(500).json({ message: 'Server error searching jobs' });
@@ -68,6 +68,63 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/* ------------------------------------------------------------------
+   Session-token guards
+   Tokens issued by routes/auth.js carry { sub, role } and are signed
+   with the same secret fallback as server.js. These only decode the
+   token (no DB lookup) and expose req.userId / req.userRole.
+------------------------------------------------------------------- */
+const SESSION_SECRET = process.env.JWT_SECRET || 'devsecret';
+
+const readSessionToken = (req) => {
+  const h = req.headers.authorization || '';
+  if (h.startsWith('Bearer ')) return h.slice(7);
+  if (req.cookies?.token) return req.cookies.token;
+  return null;
+};
+
+const decodeSession = (req) => {
+  const token = readSessionToken(req);
+  if (!token) return null;
+  const payload = jwt.verify(token, SESSION_SECRET);
+  return { userId: payload.sub, userRole: (payload.role || '').toLowerCase() };
+};
+
+const requireAuth = (req, res, next) => {
+  try {
+    const session = decodeSession(req);
+    if (!session) return res.status(401).json({ message: 'Not authenticated' });
+    req.userId = session.userId;
+    req.userRole = session.userRole;
+    next();
+  } catch {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Admin only' });
+    }
+    next();
+  });
+};
+
+// Like requireAuth, but lets guests through without req.userId
+const optionalSession = (req, _res, next) => {
+  try {
+    const session = decodeSession(req);
+    if (session) {
+      req.userId = session.userId;
+      req.userRole = session.userRole;
+    }
+  } catch {
+    // invalid/expired token: treat as guest
+  }
+  next();
+};
+
 // Generate JWT
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -80,5 +137,8 @@ module.exports = {
   adminAuth,
   studentAlumniAuth,
   optionalAuth,
+  requireAuth,
+  requireAdmin,
+  optionalSession,
   generateToken,
 };
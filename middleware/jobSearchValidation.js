@@ -0,0 +1,123 @@
+// middleware/jobSearchValidation.js
+const { query, validationResult } = require('express-validator');
+const { SORTS, POSTED_WITHIN, PAGE_LIMITS, resolveSort, decodeCursor } = require('../utils/jobSearch');
+const { resolveNear, MAX_RADIUS_KM } = require('../utils/geo');
+const { regionCodes, provinceCodes, cityCodes } = require('../utils/psgc');
+
+const MAX_LIST_ITEMS = 20;
+
+// "a,b" or ?x=a&x=b -> ['a', 'b']
+const toList = (v) =>
+  (Array.isArray(v) ? v : String(v ?? '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+// PSGC code or a known name
+const psgcLevel = (field, codesFor) =>
+  query(field)
+    .optional()
+    .custom((v) => codesFor(v).length > 0)
+    .withMessage(`${field} must be a PSGC code or a known ${field} name`);
+
+// Only the exact strings the filters read: isBoolean() also passes '1'/'0',
+// which asBool() in utils/jobSearch.js treats as false
+const flag = (field) =>
+  query(field).optional().isIn(['true', 'false']).withMessage(`${field} must be true or false`);
+
+const listOf = (field) =>
+  query(field)
+    .optional()
+    .customSanitizer(toList)
+    .custom((list) => list.length <= MAX_LIST_ITEMS && list.every((s) => s.length <= 50))
+    .withMessage(`${field} accepts up to ${MAX_LIST_ITEMS} values of at most 50 characters`);
+
+/* ---------------- Validations ---------------- */
+// ?region= / ?province= / ?city=, shared with the company listing
+const locationValidation = [
+  psgcLevel('region', regionCodes),
+  psgcLevel('province', provinceCodes),
+  psgcLevel('city', cityCodes),
+];
+
+const jobSearchValidation = [
+  query('minStipend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minStipend must be a non-negative number')
+    .toFloat(),
+  query('maxStipend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('maxStipend must be a non-negative number')
+    .toFloat()
+    .custom((max, { req }) => req.query.minStipend == null || max >= Number(req.query.minStipend))
+    .withMessage('maxStipend must be greater than or equal to minStipend'),
+  query('postedWithin')
+    .optional()
+    .isIn(Object.keys(POSTED_WITHIN))
+    .withMessage(`postedWithin must be one of: ${Object.keys(POSTED_WITHIN).join(', ')}`),
+  flag('isRemote'),
+  flag('isHybrid'),
+  flag('acceptingOnly'),
+  // acceptingOnly already means status=active; any other status contradicts it
+  query('status')
+    .optional()
+    .custom((status, { req }) => req.query.acceptingOnly !== 'true' || status === 'active')
+    .withMessage('status cannot be combined with acceptingOnly=true unless it is active'),
+  listOf('benefits'),
+  listOf('skills'),
+  query('skillsMode')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('skillsMode must be "all" or "any"'),
+  query('sort')
+    .optional()
+    .isIn(SORTS)
+    .withMessage(`sort must be one of: ${SORTS.join(', ')}`),
+  // Place name from the gazetteer or "lat,lng"; replaced by the resolved point
+  query('near')
+    .optional()
+    .customSanitizer(resolveNear)
+    .custom((near) => !!near)
+    .withMessage('near must be a Philippine city/municipality or "lat,lng"'),
+  ...locationValidation,
+  query('radiusKm')
+    .optional()
+    .isFloat({ min: 1, max: MAX_RADIUS_KM })
+    .withMessage(`radiusKm must be between 1 and ${MAX_RADIUS_KM}`)
+    .toFloat(),
+  query('limit')
+    .optional()
+    .isIn(PAGE_LIMITS.map(String))
+    .withMessage(`limit must be one of: ${PAGE_LIMITS.join(', ')}`)
+    .toInt(),
+  // A cursor is only valid for the sort it was issued under (the job
+  // controllers take the search text as ?search= / ?query= rather than ?q=)
+  query('cursor')
+    .optional()
+    .customSanitizer(decodeCursor)
+    .custom((cursor, { req }) => {
+      const q = req.query.q ?? req.query.search ?? req.query.query;
+      return !!cursor && cursor.sort === resolveSort({ q, sort: req.query.sort, near: req.query.near });
+    })
+    .withMessage('Invalid cursor'),
+  flag('withTotal'),
+  flag('autoCorrect'),
+  flag('envelope'),
+];
+
+// 400 with every failed filter, same shape as the job controllers
+const validateJobSearch = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  return res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+};
+
+module.exports = {
+  jobSearchValidation,
+  locationValidation,
+  validateJobSearch,
+};
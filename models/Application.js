@@ -0,0 +1,107 @@
+// models/Application.js
+const mongoose = require('mongoose');
+const {
+  STAGES,
+  INITIAL_STAGE,
+  INACTIVE_STAGES,
+  canTransition,
+} = require('../config/applicationStages');
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: [...STAGES, null], default: null },
+    to: { type: String, enum: STAGES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedByRole: { type: String, trim: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const applicationSchema = new mongoose.Schema(
+  {
+    /* -------------------------- References --------------------------- */
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: [true, 'Job is required'],
+    },
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Applicant is required'],
+    },
+
+    /* ------------------------- Submission ---------------------------- */
+    coverNote: { type: String, trim: true, maxlength: 2000 },
+    resume: {
+      url: { type: String, required: [true, 'Resume is required'] }, // GET /api/applications/:id/resume
+      fileName: { type: String, select: false }, // under utils/resumes.js RESUME_DIR
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+
+    /* --------------------------- Status ------------------------------ */
+    status: { type: String, enum: STAGES, default: INITIAL_STAGE },
+    statusHistory: [statusChangeSchema],
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+// One application per student per job
+applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
+applicationSchema.index({ applicant: 1, createdAt: -1 });
+applicationSchema.index({ job: 1, createdAt: -1 });
+applicationSchema.index({ job: 1, status: 1 });
+
+/* --------------------------- Methods -------------------------------- */
+/**
+ * Move the application to another stage and append to its history.
+ * Does not save; callers persist with application.save().
+ * @returns {{ok:boolean,error?:string}}
+ */
+applicationSchema.methods.transitionTo = function (to, { by, role, note } = {}) {
+  if (this.status === to) return { ok: false, error: 'SAME_STAGE' };
+  if (!canTransition(this.status, to)) return { ok: false, error: 'INVALID_TRANSITION' };
+
+  this.statusHistory.push({ from: this.status, to, changedBy: by, changedByRole: role, note });
+  this.status = to;
+  return { ok: true };
+};
+
+/* ----------------------------- Statics ------------------------------ */
+// Recount instead of $inc so the Job counter self-heals after any drift
+applicationSchema.statics.syncJobCount = async function (jobId) {
+  if (!jobId) return;
+  const count = await this.countDocuments({ job: jobId, status: { $nin: INACTIVE_STAGES } });
+  await mongoose.model('Job').updateOne({ _id: jobId }, { $set: { applications: count } });
+};
+
+/* ------------------------------ Hooks ------------------------------- */
+// Keep Job.applications in sync automatically
+applicationSchema.pre('save', function (next) {
+  this.$locals.countChanged = this.isNew || this.isModified('status');
+
+  // Every application starts with its submission entry
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedBy: this.applicant, changedByRole: 'applicant' });
+  }
+  next();
+});
+
+applicationSchema.post('save', async function (doc) {
+  if (doc.$locals.countChanged) await doc.constructor.syncJobCount(doc.job);
+});
+
+applicationSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await doc.constructor.syncJobCount(doc.job);
+});
+
+applicationSchema.post('deleteOne', { document: true, query: false }, async function (doc) {
+  await doc.constructor.syncJobCount(doc.job);
+});
+
+module.exports = mongoose.model('Application', applicationSchema);
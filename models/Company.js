@@ -1,5 +1,7 @@
 // models/Company.js
 const mongoose = require('mongoose');
+const { resolvePlace, toPoint } = require('../utils/geo');
+const { applyLocationFields } = require('../utils/psgc');
 
 const companySchema = new mongoose.Schema(
   {
@@ -13,6 +15,15 @@ const companySchema = new mongoose.Schema(
     },
     industry: { type: String, trim: true },
     location: { type: String, trim: true },
+    // PSGC-coded place parsed from location (see utils/psgc.js)
+    region: { code: String, name: String },
+    province: { code: String, name: String },
+    city: { code: String, name: String },
+    // GeoJSON point resolved from location (see utils/geo.js)
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }, // [lng, lat]
+    },
     description: { type: String, trim: true },
         website: {
       type: String,
@@ -41,6 +52,10 @@ const companySchema = new mongoose.Schema(
 companySchema.index({ name: 1 });
 companySchema.index({ industry: 1 });
 companySchema.index({ location: 1 });
+companySchema.index({ geo: '2dsphere' });
+companySchema.index({ 'region.code': 1 });
+companySchema.index({ 'province.code': 1 });
+companySchema.index({ 'city.code': 1 });
 
 /* -------------------------- Pre-save hook -------------------------- */
 // normalize name capitalization
@@ -51,7 +66,47 @@ companySchema.pre('save', function (next) {
   if (this.email) {
     this.email = this.email.trim().toLowerCase();
   }
+  this.$locals.nameChanged = !this.isNew && this.isModified('name');
+  if (this.isModified('location')) {
+    const place = resolvePlace(this.location);
+    this.geo = place ? toPoint(place) : undefined;
+    applyLocationFields(this, this.location);
+  }
+  next();
+});
+
+companySchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const location = update.location ?? update.$set?.location;
+  if (location != null) {
+    // Drop the old point when the new location is not on the map
+    const place = resolvePlace(location);
+    const geo = place && toPoint(place);
+    if (geo) this.set('geo', geo);
+    else update.$unset = { ...update.$unset, geo: 1 };
+    applyLocationFields(this, location);
+  }
   next();
 });
 
+/* ------------------------- Post-save hooks ------------------------- */
+// Jobs carry a denormalised companyName for search; follow renames
+async function syncJobCompanyName(company) {
+  await mongoose.model('Job').updateMany(
+    { company: company._id },
+    { $set: { companyName: company.name } }
+  );
+}
+
+companySchema.post('save', async function (doc) {
+  if (doc.$locals.nameChanged) await syncJobCompanyName(doc);
+});
+
+companySchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  if (!doc || (update.name == null && update.$set?.name == null)) return;
+  const fresh = await this.model.findById(doc._id).select('name').lean();
+  if (fresh) await syncJobCompanyName(fresh);
+});
+
 module.exports = mongoose.model('Company', companySchema);
@@ -1,7 +1,24 @@
 // models/Job.js
 const mongoose = require('mongoose');
+const { resolvePlace, toPoint, hasPoint } = require('../utils/geo');
+const { applyLocationFields } = require('../utils/psgc');
+const { TERM_VECTOR_FIELDS, buildTermVector } = require('../utils/termVector');
 
 const JOB_TYPES = ['internship', 'ojt', 'part-time', 'full-time', 'contract'];
+const CLOSED_REASONS = ['deadline', 'manual'];
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const MODERATION_ACTIONS = ['submitted', 'approved', 'rejected'];
+
+// Relevance weights from TODO.md Phase 2, x10 because text-index weights are integers
+const TEXT_WEIGHTS = {
+  title: 30,
+  description: 20,
+  shortDescription: 20,
+  skillsRequired: 25,
+  requirements: 25,
+  categories: 25,
+  companyName: 15,
+};
 
 const jobSchema = new mongoose.Schema(
   {
@@ -27,6 +44,8 @@ const jobSchema = new mongoose.Schema(
       ref: 'Company',
       required: [true, 'Company is required'],
     },
+    // Denormalised from Company.name so it can be weighted in the text index
+    companyName: { type: String, trim: true },
 
     /* -------------------------- Job Details -------------------------- */
     jobType: {
@@ -46,6 +65,15 @@ const jobSchema = new mongoose.Schema(
       required: [true, 'Location is required'],
       trim: true,
     },
+    // PSGC-coded place parsed from location (see utils/psgc.js)
+    region: { code: String, name: String },
+    province: { code: String, name: String },
+    city: { code: String, name: String },
+    // GeoJSON point from the gazetteer (see utils/geo.js); falls back to the company's
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }, // [lng, lat]
+    },
     isRemote: { type: Boolean, default: false },
     isHybrid: { type: Boolean, default: false },
 
@@ -83,12 +111,37 @@ const jobSchema = new mongoose.Schema(
     },
     isFeatured: { type: Boolean, default: false },
     isApproved: { type: Boolean, default: true },
+    approvedAt: { type: Date }, // when the job went live; saved-search alerts key off this
+    // Review of jobs posted by non-admins (utils/jobModeration.js); isApproved
+    // is true exactly when this is 'approved'
+    moderationStatus: { type: String, enum: MODERATION_STATUSES, default: 'approved' },
+    moderationHistory: [
+      {
+        _id: false,
+        action: { type: String, enum: MODERATION_ACTIONS, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, trim: true, maxlength: 1000 },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    closedAt: { type: Date },
+    closedReason: { type: String, enum: CLOSED_REASONS }, // 'deadline' = closed by utils/jobExpiry.js
+    publishedAt: { type: Date }, // created active, or a draft published (utils/jobPublishing.js)
+    publishAt: { type: Date }, // drafts: go live at this time
+    unpublishAt: { type: Date }, // active jobs: set inactive at this time
 
     /* --------------------------- Stats ------------------------------- */
     views: { type: Number, default: 0 },
-    applications: { type: Number, default: 0 },
+    applications: { type: Number, default: 0 }, // maintained by models/Application.js
     savedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 
+    /* ------------------------- Similarity ---------------------------- */
+    // Precomputed from title/descriptions for GET /api/jobs/:id/similar
+    termVector: {
+      type: [{ _id: false, term: String, weight: Number }],
+      select: false,
+    },
+
     /* -------------------------- Metadata ----------------------------- */
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     lastUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -97,14 +150,28 @@ const jobSchema = new mongoose.Schema(
 );
 
 /* ----------------------------- Indexes ------------------------------ */
-jobSchema.index({ title: 'text', description: 'text', shortDescription: 'text' });
+// Run scripts/syncJobSearchIndex.js once to replace an older text index
+jobSchema.index(
+  Object.fromEntries(Object.keys(TEXT_WEIGHTS).map((f) => [f, 'text'])),
+  { weights: TEXT_WEIGHTS, name: 'job_text_weighted' }
+);
 jobSchema.index({ company: 1 });
 jobSchema.index({ jobType: 1 });
 jobSchema.index({ location: 1 });
+jobSchema.index({ geo: '2dsphere' });
+jobSchema.index({ 'region.code': 1 });
+jobSchema.index({ 'province.code': 1 });
+jobSchema.index({ 'city.code': 1 });
 jobSchema.index({ status: 1 });
 jobSchema.index({ isApproved: 1 });
 jobSchema.index({ applicationDeadline: 1 });
 jobSchema.index({ categories: 1 });
+jobSchema.index({ savedBy: 1 });
+jobSchema.index({ approvedAt: -1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, unpublishAt: 1 });
+jobSchema.index({ moderationStatus: 1, createdAt: 1 });
+jobSchema.index({ 'termVector.term': 1 });
 
 /* ---------------------------- Virtuals ------------------------------ */
 jobSchema.virtual('isAcceptingApplications').get(function () {
@@ -138,15 +205,120 @@ jobSchema.methods.incrementViews = async function () {
   await this.save();
 };
 
-jobSchema.methods.incrementApplications = async function () {
-  this.applications += 1;
-  await this.save();
+jobSchema.methods.isSavedByUser = function (userId) {
+  if (!userId) return false;
+  return (this.savedBy || []).some((id) => String(id) === String(userId));
 };
 
-jobSchema.methods.isSavedByUser = function (userId) {
-  return this.savedBy.includes(userId);
+/* ---------------------------- Statics -------------------------------- */
+// Swap the raw savedBy list (other users' ids) for an isSaved flag for the caller
+jobSchema.statics.withSavedFlag = function (job, userId) {
+  const { savedBy = [], ...rest } = job.toObject ? job.toObject() : job;
+  return {
+    ...rest,
+    isSaved: !!userId && savedBy.some((id) => String(id) === String(userId)),
+  };
 };
 
+/* ------------------------------ Hooks -------------------------------- */
+// Keep companyName in step with the company reference
+jobSchema.pre('save', async function () {
+  if (!this.company || (!this.isNew && !this.isModified('company') && this.companyName)) return;
+  const company = await mongoose.model('Company').findById(this.company).select('name').lean();
+  this.companyName = company?.name || undefined;
+});
+
+jobSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const companyId = update.company ?? update.$set?.company;
+  if (!companyId) return;
+  const company = await mongoose.model('Company').findById(companyId).select('name').lean();
+  this.set('companyName', company?.name || undefined);
+});
+
+// Place the job on the map from its location text, else at its company
+async function geoForJob(location, companyId) {
+  const place = resolvePlace(location);
+  const point = place && toPoint(place);
+  if (point) return point;
+  if (!companyId) return undefined;
+  const company = await mongoose.model('Company').findById(companyId).select('geo').lean();
+  return hasPoint(company?.geo) ? company.geo : undefined;
+}
+
+jobSchema.pre('save', async function () {
+  if (!this.isNew && !this.isModified('location') && !this.isModified('company')) return;
+  if (this.isNew || this.isModified('location')) applyLocationFields(this, this.location);
+  if (this.isModified('geo') && hasPoint(this.geo)) return; // set explicitly
+  this.geo = await geoForJob(this.location, this.company);
+});
+
+jobSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const location = update.location ?? update.$set?.location;
+  if (location == null) return;
+  applyLocationFields(this, location);
+  if (update.geo || update.$set?.geo) return;
+  const companyId = update.company ?? update.$set?.company;
+  const current = companyId ? null : await this.model.findOne(this.getQuery()).select('company').lean();
+  const geo = await geoForJob(location, companyId || current?.company);
+  if (geo) this.set('geo', geo);
+  else update.$unset = { ...update.$unset, geo: 1 };
+});
+
+// Recompute the similarity vector whenever the text it is built from changes
+jobSchema.pre('save', function (next) {
+  if (this.isNew || TERM_VECTOR_FIELDS.some((f) => this.isModified(f))) {
+    this.termVector = buildTermVector(this);
+  }
+  next();
+});
+
+jobSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const changed = TERM_VECTOR_FIELDS.filter((f) => (update[f] ?? update.$set?.[f]) !== undefined);
+  if (!changed.length) return;
+  const current = await this.model.findOne(this.getQuery()).select(TERM_VECTOR_FIELDS.join(' ')).lean();
+  const text = Object.fromEntries(TERM_VECTOR_FIELDS.map((f) => [f, update[f] ?? update.$set?.[f] ?? current?.[f]]));
+  this.set('termVector', buildTermVector(text));
+});
+
+// Record when and why a job was closed; reopening clears it
+jobSchema.pre('save', function (next) {
+  if (!this.isModified('status')) return next();
+  if (this.status === 'closed') {
+    this.closedAt = this.closedAt || new Date();
+    this.closedReason = this.closedReason || 'manual';
+  } else {
+    this.closedAt = undefined;
+    this.closedReason = undefined;
+  }
+  next();
+});
+
+jobSchema.pre('findOneAndUpdate', function () {
+  const update = this.getUpdate() || {};
+  const status = update.status ?? update.$set?.status;
+  if (status == null) return;
+  if (status === 'closed') {
+    if (!(update.closedAt ?? update.$set?.closedAt)) this.set('closedAt', new Date());
+    if (!(update.closedReason ?? update.$set?.closedReason)) this.set('closedReason', 'manual');
+  } else {
+    update.$unset = { ...update.$unset, closedAt: 1, closedReason: 1 };
+  }
+});
+
+// Stamp approvedAt on creation-as-approved or on approval (not on every save).
+// Drafts are not live yet; publishing stamps both fields itself.
+jobSchema.pre('save', function (next) {
+  if (this.status === 'draft') return next();
+  if (this.isApproved && !this.approvedAt && (this.isNew || this.isModified('isApproved'))) {
+    this.approvedAt = new Date();
+  }
+  if (this.isNew && this.status === 'active' && !this.publishedAt) this.publishedAt = new Date();
+  next();
+});
+
 /* ---------------------------- Population ----------------------------- */
 // Auto-populate the company whenever jobs are queried
 jobSchema.pre(/^find/, function (next) {
@@ -157,4 +329,8 @@ jobSchema.pre(/^find/, function (next) {
   next();
 });
 
+jobSchema.statics.TEXT_WEIGHTS = TEXT_WEIGHTS;
+jobSchema.statics.CLOSED_REASONS = CLOSED_REASONS;
+jobSchema.statics.MODERATION_STATUSES = MODERATION_STATUSES;
+
 module.exports = mongoose.model('Job', jobSchema);
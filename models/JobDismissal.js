@@ -0,0 +1,17 @@
+// models/JobDismissal.js
+// A job a student hid from their recommendations ("not interested").
+const mongoose = require('mongoose');
+
+const jobDismissalSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    reason: { type: String, trim: true, maxlength: 200 },
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+jobDismissalSchema.index({ user: 1, job: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobDismissal', jobDismissalSchema);
@@ -0,0 +1,19 @@
+// models/JobInvitation.js
+// A coordinator's emailed invitation for a candidate to apply to a job.
+const mongoose = require('mongoose');
+
+const jobInvitationSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    message: { type: String, trim: true, maxlength: 1000 },
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+// One invitation per candidate per job
+jobInvitationSchema.index({ job: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobInvitation', jobInvitationSchema);
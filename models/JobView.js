@@ -0,0 +1,20 @@
+// models/JobView.js
+// Last counted view of a job per visitor, used to dedupe views within a
+// window (utils/jobViews.js). Rows expire on their own once the window is over.
+const mongoose = require('mongoose');
+
+const VIEW_WINDOW_SECONDS = 30 * 60;
+
+const jobViewSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  visitor: { type: String, required: true }, // user:<id>, else hashed IP + user agent
+  viewedAt: { type: Date, default: Date.now },
+});
+
+/* ----------------------------- Indexes ------------------------------ */
+jobViewSchema.index({ job: 1, visitor: 1 }, { unique: true });
+jobViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: VIEW_WINDOW_SECONDS });
+
+jobViewSchema.statics.VIEW_WINDOW_SECONDS = VIEW_WINDOW_SECONDS;
+
+module.exports = mongoose.model('JobView', jobViewSchema);
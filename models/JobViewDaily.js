@@ -0,0 +1,15 @@
+// models/JobViewDaily.js
+// Deduplicated views per job per day (Asia/Manila), for view charts.
+const mongoose = require('mongoose');
+
+const jobViewDailySchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  views: { type: Number, default: 0 },
+});
+
+/* ----------------------------- Indexes ------------------------------ */
+jobViewDailySchema.index({ job: 1, day: 1 }, { unique: true });
+jobViewDailySchema.index({ day: 1 });
+
+module.exports = mongoose.model('JobViewDaily', jobViewDailySchema);
@@ -0,0 +1,52 @@
+// models/SavedSearch.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: {
+      type: String,
+      required: [true, 'Search name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Same filter set as GET /api/jobs
+    filters: {
+      q: { type: String, trim: true },
+      jobType: { type: String, trim: true },
+      location: { type: String, trim: true },
+      category: { type: String, trim: true },
+    },
+
+    /* ---------------------------- Alerts ----------------------------- */
+    frequency: { type: String, enum: FREQUENCIES, default: 'daily' },
+    isActive: { type: Boolean, default: true },
+    // Watermark: only jobs approved after this instant are alerted
+    lastNotifiedAt: { type: Date, default: Date.now },
+    unsubscribeToken: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString('hex'),
+    },
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1, lastNotifiedAt: 1 });
+
+/* ---------------- toJSON: remove sensitive fields ---------------- */
+savedSearchSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.unsubscribeToken;
+  return obj;
+};
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
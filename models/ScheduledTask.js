@@ -0,0 +1,37 @@
+// models/ScheduledTask.js
+// Run state of one background task from utils/scheduler.js. The row doubles
+// as a lock: an instance only runs a task after claiming it through
+// lockedUntil, so several API instances never run the same task at once.
+const mongoose = require('mongoose');
+
+const STATUSES = ['success', 'failed'];
+
+const scheduledTaskSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    schedule: { type: String, required: true }, // cron expression, Manila time
+    description: { type: String, trim: true },
+    paused: { type: Boolean, default: false },
+    nextRunAt: { type: Date },
+
+    lockedBy: { type: String }, // instance id while running
+    lockedUntil: { type: Date }, // a crashed instance's lock lapses here
+
+    lastRunAt: { type: Date },
+    lastDurationMs: { type: Number, min: 0 },
+    lastStatus: { type: String, enum: STATUSES },
+    lastError: { type: String },
+    lastResult: { type: mongoose.Schema.Types.Mixed }, // what the handler resolved with
+    lastTrigger: { type: String, enum: ['schedule', 'manual'] },
+    runCount: { type: Number, default: 0 },
+    failCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+scheduledTaskSchema.index({ name: 1 }, { unique: true });
+
+scheduledTaskSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
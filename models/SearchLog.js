@@ -1,14 +1,111 @@
 // models/SearchLog.js
 const mongoose = require('mongoose');
 
+// Repeats of a term within one session and window count as one search
+const DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+
 const searchLogSchema = new mongoose.Schema(
   {
     term: { type: String, required: true, trim: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // optional
     role: { type: String, enum: ['student', 'alumni', 'admin', 'guest'], default: 'guest' },
+    sessionId: { type: String, trim: true }, // X-Session-Id, else user id / IP
+    resultCount: { type: Number, min: 0 }, // unknown for client-reported searches
+    correctedTerm: { type: String, trim: true }, // set when typo correction produced the results
+    filters: {
+      jobType: String,
+      location: String,
+      category: String,
+    },
+    runs: { type: Number, default: 1 }, // times run in the dedupe window
+    dedupeKey: { type: String },
+    // Results opened from this search; position is the 1-based rank shown
+    clicks: [
+      {
+        _id: false,
+        job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+        position: { type: Number, min: 1, required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    firstClickPosition: { type: Number, min: 1 }, // best-ranked click, for MRR
   },
   { timestamps: true }
 );
 
 searchLogSchema.index({ term: 1, createdAt: -1 });
+searchLogSchema.index({ createdAt: -1, role: 1 });
+searchLogSchema.index({ resultCount: 1, createdAt: -1 });
+searchLogSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+/* ---------------------------- Statics -------------------------------- */
+const normalizeTerm = (term) => String(term || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Log one search, folding repeats from the same session into the first row
+ * of the window (latest resultCount wins). Upsert on a unique key keeps
+ * concurrent repeats from creating duplicates.
+ * @returns {Promise<?Document>} null when the term is empty
+ */
+searchLogSchema.statics.record = async function ({
+  term,
+  user = null,
+  role = 'guest',
+  sessionId,
+  resultCount,
+  correctedTerm,
+  filters,
+  now = new Date(),
+}) {
+  const normalized = normalizeTerm(term);
+  if (!normalized) return null;
+  if (!this.schema.path('role').enumValues.includes(role)) role = 'guest';
+
+  const session = sessionId || (user ? String(user) : null);
+  const window = Math.floor(now.getTime() / DEDUPE_WINDOW_MS);
+  const fields = {
+    ...(resultCount != null ? { resultCount } : {}),
+    ...(correctedTerm ? { correctedTerm: normalizeTerm(correctedTerm) } : {}),
+  };
+
+  if (!session) {
+    return this.create({ term: normalized, user, role, resultCount, correctedTerm: fields.correctedTerm, filters });
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { dedupeKey: `${session}|${normalized}|${window}` },
+      {
+        $setOnInsert: { term: normalized, user, role, sessionId: session, filters },
+        $set: fields,
+        $inc: { runs: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: false }
+    );
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    // Lost the upsert race; the other request created the row
+    return this.findOneAndUpdate(
+      { dedupeKey: `${session}|${normalized}|${window}` },
+      { $set: fields, $inc: { runs: 1 } },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Record that a result of search `searchId` was opened. Only the session that
+ * ran the search can add clicks, and each job counts once per search.
+ * @returns {Promise<boolean>} whether a click was added
+ */
+searchLogSchema.statics.recordClick = async function ({ searchId, sessionId, job, position, now = new Date() }) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: searchId, sessionId, 'clicks.job': { $ne: job } },
+    { $push: { clicks: { job, position, at: now } }, $min: { firstClickPosition: position } }
+  );
+  return modifiedCount > 0;
+};
+
+searchLogSchema.statics.normalizeTerm = normalizeTerm;
+
 module.exports = mongoose.model('SearchLog', searchLogSchema);
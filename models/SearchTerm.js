@@ -0,0 +1,30 @@
+// models/SearchTerm.js
+// Autocomplete vocabulary, rebuilt from jobs, companies and SearchLog by
+// utils/searchSuggest.js. Never written by request handlers.
+const mongoose = require('mongoose');
+
+const KINDS = ['title', 'company', 'category', 'skill', 'query'];
+
+const searchTermSchema = new mongoose.Schema(
+  {
+    term: { type: String, required: true }, // normalised (lowercase, accent-free)
+    display: { type: String, required: true }, // as shown to users
+    tokens: [{ type: String }], // words of `term`, for word-prefix matching
+    kind: { type: String, enum: KINDS, required: true },
+    weight: { type: Number, default: 0 }, // frequency: jobs using it / times searched
+    lastSeenAt: { type: Date },
+    roles: [{ type: String }], // who may see it: 'public' or a user role
+    refreshedAt: { type: Date },
+  },
+  { timestamps: false }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+// Anchored regexes (/^mec/) on tokens use index bounds, not a collection scan
+searchTermSchema.index({ tokens: 1, weight: -1 });
+searchTermSchema.index({ kind: 1, term: 1 }, { unique: true });
+searchTermSchema.index({ refreshedAt: 1 });
+
+searchTermSchema.statics.KINDS = KINDS;
+
+module.exports = mongoose.model('SearchTerm', searchTermSchema);
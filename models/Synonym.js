@@ -0,0 +1,53 @@
+// models/Synonym.js
+// Admin-managed search synonyms (utils/synonyms.js expands queries with them).
+//   two-way: every term finds the others  (amt <-> aircraft maintenance technician)
+//   one-way: `input` also finds `terms`     (a&p -> airframe and powerplant)
+const mongoose = require('mongoose');
+const { tokenize } = require('../utils/jobSearch');
+
+const DIRECTIONS = ['two-way', 'one-way'];
+
+// Same normal form as query words: lowercase, accent-free, single spaces
+const normalizePhrase = (phrase) => tokenize(phrase).join(' ');
+
+const synonymSchema = new mongoose.Schema(
+  {
+    direction: { type: String, enum: DIRECTIONS, default: 'two-way' },
+    input: { type: String, trim: true }, // one-way only
+    terms: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator(terms) {
+          return terms.length >= (this.direction === 'one-way' ? 1 : 2);
+        },
+        message: 'A two-way synonym needs at least two terms, a one-way synonym at least one',
+      },
+    },
+    note: { type: String, trim: true, maxlength: 300 },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes ------------------------------ */
+synonymSchema.index({ terms: 1 });
+synonymSchema.index({ input: 1 });
+
+/* ------------------------------ Hooks ------------------------------- */
+synonymSchema.pre('validate', function (next) {
+  this.terms = [...new Set((this.terms || []).map(normalizePhrase).filter(Boolean))];
+  if (this.direction === 'one-way') {
+    this.input = normalizePhrase(this.input);
+    if (!this.input) this.invalidate('input', 'A one-way synonym needs an input term');
+    this.terms = this.terms.filter((t) => t !== this.input);
+  } else {
+    this.input = undefined;
+  }
+  next();
+});
+
+synonymSchema.statics.DIRECTIONS = DIRECTIONS;
+synonymSchema.statics.normalizePhrase = normalizePhrase;
+
+module.exports = mongoose.model('Synonym', synonymSchema);
@@ -2,18 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const SearchLog = require('../models/SearchLog');
+const { sessionKey } = require('../utils/searchAnalytics');
 
-// POST /analytics/search  { term: "engineer" }
+// POST /analytics/search  { term: "engineer", resultCount?: 12 }
 router.post('/search', async (req, res) => {
   try {
     const raw = String(req.body?.term || '').trim();
     if (!raw) return res.status(400).json({ ok: false, error: 'term required' });
 
-    const term = raw.toLowerCase(); // normalize
     const user = req.user?._id || null;
     const role = (req.user?.role || 'guest').toLowerCase();
+    const count = Number(req.body?.resultCount);
 
-    await SearchLog.create({ term, user, role });
+    // record() normalises the term and folds repeats from one session
+    await SearchLog.record({
+      term: raw,
+      user,
+      role,
+      sessionId: sessionKey(req),
+      resultCount: Number.isInteger(count) && count >= 0 ? count : undefined,
+    });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message || 'failed to log search' });
@@ -0,0 +1,251 @@
+// routes/applications.js
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const mongoose = require('mongoose');
+
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { isStage, canActorMoveTo } = require('../config/applicationStages');
+const { RESUME_DIR, resumeUrl, resumePath } = require('../utils/resumes');
+
+/* --------------------------- helpers --------------------------- */
+fs.mkdirSync(RESUME_DIR, { recursive: true });
+
+const RESUME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => cb(null, RESUME_DIR),
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname) || '';
+      cb(null, `u${req.userId}-${Date.now()}${ext}`);
+    },
+  }),
+  fileFilter: (_req, file, cb) => {
+    if (!RESUME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Resume must be a PDF or Word document'));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+});
+
+const APPLICANT_FIELDS = 'firstName lastName email course yearLevel graduationYear skills studentId';
+
+// Same job/company population as routes/jobs.js
+const JOB_POPULATE = {
+  path: 'job',
+  populate: { path: 'company', select: 'name logoUrl location website industry email phone' },
+};
+const HISTORY_POPULATE = { path: 'statusHistory.changedBy', select: 'firstName lastName userType' };
+
+function removeUpload(file) {
+  if (file?.path) fs.unlink(file.path, () => {});
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          POST /jobs/:id/apply                              */
+/* -------------------------------------------------------------------------- */
+router.post('/jobs/:id/apply', requireAuth, (req, res) => {
+  upload.single('resume')(req, res, async (uploadErr) => {
+    if (uploadErr) return res.status(400).json({ message: uploadErr.message });
+
+    try {
+      if (req.userRole !== 'student' && req.userRole !== 'alumni') {
+        removeUpload(req.file);
+        return res.status(403).json({ message: 'Only students and alumni can apply' });
+      }
+
+      const job = await Job.findById(req.params.id);
+      if (!job || !job.isApproved) {
+        removeUpload(req.file);
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      if (!job.isAcceptingApplications) {
+        removeUpload(req.file);
+        return res.status(400).json({ message: 'This job is no longer accepting applications' });
+      }
+
+      if (!req.file) return res.status(400).json({ message: 'Resume file is required' });
+
+      const duplicate = await Application.exists({ job: job._id, applicant: req.userId });
+      if (duplicate) {
+        removeUpload(req.file);
+        return res.status(409).json({ message: 'You have already applied to this job' });
+      }
+
+      const _id = new mongoose.Types.ObjectId();
+      const application = await Application.create({
+        _id,
+        job: job._id,
+        applicant: req.userId,
+        coverNote: req.body.coverNote,
+        resume: {
+          url: resumeUrl(_id),
+          fileName: req.file.filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+        },
+      });
+
+      res.status(201).json(application);
+    } catch (err) {
+      removeUpload(req.file);
+      // Lost the race against a concurrent submission
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'You have already applied to this job' });
+      }
+      console.error('POST /jobs/:id/apply:', err);
+      res.status(400).json({
+        message: err.message || 'Failed to submit application',
+        errors: err.errors || null,
+      });
+    }
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          GET /me/applications                              */
+/* -------------------------------------------------------------------------- */
+router.get('/me/applications', requireAuth, async (req, res) => {
+  try {
+    const applications = await Application.find({ applicant: req.userId })
+      .populate(JOB_POPULATE)
+      .populate(HISTORY_POPULATE)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(applications);
+  } catch (err) {
+    console.error('GET /me/applications:', err);
+    res.status(500).json({ message: 'Failed to load applications' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                   GET /admin/jobs/:id/applications                         */
+/* -------------------------------------------------------------------------- */
+router.get('/admin/jobs/:id/applications', requireAdmin, async (req, res) => {
+  try {
+    const job = await Job.exists({ _id: req.params.id });
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    const query = { job: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const applications = await Application.find(query)
+      .populate('applicant', APPLICANT_FIELDS)
+      .populate(HISTORY_POPULATE)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(applications);
+  } catch (err) {
+    console.error('GET /admin/jobs/:id/applications:', err);
+    res.status(500).json({ message: 'Failed to load applications' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          GET /applications/:id                             */
+/* -------------------------------------------------------------------------- */
+router.get('/applications/:id', requireAuth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate(JOB_POPULATE)
+      .populate('applicant', APPLICANT_FIELDS)
+      .populate(HISTORY_POPULATE)
+      .lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+
+    const isOwner = String(application.applicant?._id) === String(req.userId);
+    if (!isOwner && req.userRole !== 'admin') {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    res.json(application);
+  } catch (err) {
+    console.error('GET /applications/:id:', err);
+    res.status(500).json({ message: 'Error fetching application' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                       GET /applications/:id/resume                         */
+/* -------------------------------------------------------------------------- */
+// The applicant and admins only; everyone else gets a 404
+router.get('/applications/:id/resume', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    const application = await Application.findById(req.params.id)
+      .select('applicant resume.url resume.originalName +resume.fileName')
+      .lean();
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+
+    const isOwner = String(application.applicant) === String(req.userId);
+    if (!isOwner && req.userRole !== 'admin') {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const file = resumePath(application.resume);
+    if (!file || !fs.existsSync(file)) return res.status(404).json({ message: 'Resume file not found' });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.download(file, application.resume.originalName || path.basename(file));
+  } catch (err) {
+    console.error('GET /applications/:id/resume:', err);
+    res.status(500).json({ message: 'Failed to load resume' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                     PATCH /applications/:id/status                         */
+/* -------------------------------------------------------------------------- */
+router.patch('/applications/:id/status', requireAuth, async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    if (!isStage(status)) return res.status(400).json({ message: 'Invalid status' });
+
+    const application = await Application.findById(req.params.id);
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+
+    const isOwner = String(application.applicant) === String(req.userId);
+    const actor = req.userRole === 'admin' ? 'admin' : isOwner ? 'applicant' : null;
+    if (!actor) return res.status(404).json({ message: 'Application not found' });
+    if (!canActorMoveTo(status, actor)) {
+      return res.status(403).json({ message: `Not allowed to move an application to "${status}"` });
+    }
+
+    const result = application.transitionTo(status, { by: req.userId, role: actor, note });
+    if (!result.ok) {
+      return res.status(400).json({
+        message: `Cannot move an application from "${application.status}" to "${status}"`,
+        code: result.error,
+      });
+    }
+
+    await application.save();
+    await application.populate([JOB_POPULATE, HISTORY_POPULATE]);
+
+    res.json(application);
+  } catch (err) {
+    console.error('PATCH /applications/:id/status:', err);
+    res.status(400).json({
+      message: err.message || 'Failed to update application status',
+      errors: err.errors || null,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// routes/candidates.js
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { requireAdmin } = require('../middleware/auth');
+const { YEAR_LEVELS, MAX_LIMIT, MAX_INVITES, rankCandidates, inviteCandidates } = require('../utils/candidates');
+
+/* --------------------------- helpers --------------------------- */
+// yearLevel as a repeated param or a comma-separated list
+const toList = (v) => (v == null ? undefined : [].concat(v).flatMap((s) => String(s).split(',')).map((s) => s.trim()).filter(Boolean));
+const toBool = (v) => (v == null || v === '' ? undefined : String(v) === 'true');
+
+const filterValidation = (location) => [
+  location('yearLevel')
+    .optional()
+    .customSanitizer(toList)
+    .custom((levels) => levels.every((l) => YEAR_LEVELS.includes(l)))
+    .withMessage(`yearLevel must be one of: ${YEAR_LEVELS.join(', ')}`),
+  location('placed').optional().isIn(['true', 'false']).withMessage('placed must be true or false'),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+};
+
+/* -------------------------------------------------------------------------- */
+/*                      GET /admin/jobs/:id/candidates                        */
+/* -------------------------------------------------------------------------- */
+// ?yearLevel=3rd Year,4th Year &placed=true|false &limit= (1-100, default 25)
+router.get(
+  '/admin/jobs/:id/candidates',
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid job id'),
+    ...filterValidation(query),
+    query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be 1-${MAX_LIMIT}`).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id).lean();
+      if (!job) return res.status(404).json({ message: 'Job not found' });
+
+      const candidates = await rankCandidates(job, {
+        yearLevels: req.query.yearLevel,
+        placed: toBool(req.query.placed),
+        limit: req.query.limit,
+      });
+      res.json({ job: { _id: job._id, title: job.title, skillsRequired: job.skillsRequired || [] }, candidates });
+    } catch (err) {
+      console.error('GET /admin/jobs/:id/candidates:', err);
+      res.status(500).json({ message: 'Failed to load candidates' });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/*                  POST /admin/jobs/:id/candidates/invite                    */
+/* -------------------------------------------------------------------------- */
+// { userIds: [...] } or { top: 10, yearLevel?, placed? } (the top-ranked not yet
+// invited), plus an optional personal `message`
+router.post(
+  '/admin/jobs/:id/candidates/invite',
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid job id'),
+    body('userIds').optional().isArray({ min: 1, max: MAX_INVITES }).withMessage(`userIds must list 1-${MAX_INVITES} users`),
+    body('userIds.*').isMongoId().withMessage('Invalid user id'),
+    body('top').optional().isInt({ min: 1, max: MAX_INVITES }).withMessage(`top must be 1-${MAX_INVITES}`).toInt(),
+    body().custom((b) => !!b.userIds !== (b.top != null)).withMessage('Send either userIds or top'),
+    ...filterValidation(body),
+    body('message').optional().isString().isLength({ max: 1000 }).withMessage('message is at most 1000 characters'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) return res.status(404).json({ message: 'Job not found' });
+      if (!job.isApproved || !job.isAcceptingApplications) {
+        return res.status(400).json({ message: 'This job is not accepting applications' });
+      }
+
+      let { userIds } = req.body;
+      if (!userIds) {
+        const ranked = await rankCandidates(job, {
+          yearLevels: req.body.yearLevel,
+          placed: toBool(req.body.placed),
+          limit: MAX_LIMIT,
+        });
+        userIds = ranked.filter((c) => !c.invitedAt).slice(0, req.body.top).map((c) => c.user._id);
+      }
+
+      const result = await inviteCandidates(job, userIds, {
+        invitedBy: req.userId,
+        message: req.body.message?.trim() || undefined,
+      });
+      res.json(result);
+    } catch (err) {
+      console.error('POST /admin/jobs/:id/candidates/invite:', err);
+      res.status(500).json({ message: 'Failed to invite candidates' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,11 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const Company = require('../models/Company');
+const { buildLocationFilter, locationQuery } = require('../utils/jobSearch');
+const { locationValidation, validateJobSearch } = require('../middleware/jobSearchValidation');
 
-// LIST (array)
-router.get('/', async (_req, res) => {
+// LIST (array); ?region= / ?province= / ?city= take a PSGC code or name
+// (400 when unknown)
+router.get('/', locationValidation, validateJobSearch, async (req, res) => {
   try {
-    const companies = await Company.find({}).sort({ createdAt: -1 });
+    const query = buildLocationFilter(req.query);
+    if (req.query.location) Object.assign(query, locationQuery(req.query.location));
+    const companies = await Company.find(query).sort({ createdAt: -1 });
     res.json(companies); // return ARRAY
   } catch (err) {
     console.error('GET /companies:', err);
@@ -0,0 +1,68 @@
+// routes/jobModeration.js
+const express = require('express');
+const router = express.Router();
+const { param, body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { requireAdmin } = require('../middleware/auth');
+const { moderateJob } = require('../utils/jobModeration');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+};
+
+/* -------------------------------------------------------------------------- */
+/*                           GET /admin/jobs/pending                          */
+/* -------------------------------------------------------------------------- */
+// The moderation queue, oldest submission first
+router.get('/admin/jobs/pending', requireAdmin, async (req, res) => {
+  try {
+    const jobs = await Job.find({ moderationStatus: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('createdBy', 'firstName lastName email userType')
+      .lean();
+    res.json(jobs);
+  } catch (err) {
+    console.error('GET /admin/jobs/pending:', err);
+    res.status(500).json({ message: 'Failed to load pending jobs' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*             POST /admin/jobs/:id/approve | /admin/jobs/:id/reject          */
+/* -------------------------------------------------------------------------- */
+// { reason } is emailed to the submitter; optional when approving. Either
+// decision can also reverse an earlier one.
+[
+  { action: 'approve', past: 'approved', reasonRequired: false },
+  { action: 'reject', past: 'rejected', reasonRequired: true },
+].forEach(({ action, past, reasonRequired }) => {
+  router.post(
+    `/admin/jobs/:id/${action}`,
+    requireAdmin,
+    [
+      param('id').isMongoId().withMessage('Invalid job id'),
+      reasonRequired
+        ? body('reason').trim().notEmpty().withMessage('reason is required')
+        : body('reason').optional().isString().withMessage('reason must be text').trim(),
+      body('reason').optional().isLength({ max: 1000 }).withMessage('reason is at most 1000 characters'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const job = await moderateJob(req.params.id, { action, reason: req.body.reason || undefined, by: req.userId });
+        if (job) return res.json(job);
+
+        const exists = await Job.exists({ _id: req.params.id });
+        if (!exists) return res.status(404).json({ message: 'Job not found' });
+        res.status(409).json({ message: `Job is already ${past}` });
+      } catch (err) {
+        console.error(`POST /admin/jobs/:id/${action}:`, err);
+        res.status(500).json({ message: `Failed to ${action} job` });
+      }
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// routes/jobPublishing.js
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { requireAdmin } = require('../middleware/auth');
+const { publishJob } = require('../utils/jobPublishing');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+};
+
+// ISO date, or null to clear
+const dateOrNull = (field) =>
+  body(field).optional({ values: 'null' }).isISO8601().withMessage(`${field} must be an ISO 8601 date or null`);
+
+/* -------------------------------------------------------------------------- */
+/*                           GET /admin/jobs/drafts                           */
+/* -------------------------------------------------------------------------- */
+// ?scheduled=true: only drafts with a publishAt, soonest first
+router.get(
+  '/admin/jobs/drafts',
+  requireAdmin,
+  [query('scheduled').optional().isIn(['true', 'false']).withMessage('scheduled must be true or false')],
+  validate,
+  async (req, res) => {
+    try {
+      const scheduled = req.query.scheduled === 'true';
+      const drafts = await Job.find({ status: 'draft', ...(scheduled ? { publishAt: { $ne: null } } : {}) })
+        .sort(scheduled ? { publishAt: 1 } : { updatedAt: -1 })
+        .lean();
+      res.json(drafts);
+    } catch (err) {
+      console.error('GET /admin/jobs/drafts:', err);
+      res.status(500).json({ message: 'Failed to load drafts' });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/*                        POST /admin/jobs/:id/publish                        */
+/* -------------------------------------------------------------------------- */
+// Publish a draft now (clears its publishAt)
+router.post(
+  '/admin/jobs/:id/publish',
+  requireAdmin,
+  [param('id').isMongoId().withMessage('Invalid job id')],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await publishJob(req.params.id, { by: req.userId });
+      if (job) return res.json(job);
+
+      const exists = await Job.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ message: 'Job not found' });
+      res.status(409).json({ message: 'Only drafts can be published' });
+    } catch (err) {
+      console.error('POST /admin/jobs/:id/publish:', err);
+      res.status(500).json({ message: 'Failed to publish job' });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/*                        PUT /admin/jobs/:id/schedule                        */
+/* -------------------------------------------------------------------------- */
+// { publishAt?, unpublishAt? }: ISO dates, or null to clear. publishAt is for
+// drafts only; unpublishAt must come after the job goes live.
+router.put(
+  '/admin/jobs/:id/schedule',
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid job id'),
+    dateOrNull('publishAt'),
+    dateOrNull('unpublishAt'),
+    body()
+      .custom((b) => 'publishAt' in b || 'unpublishAt' in b)
+      .withMessage('Send publishAt and/or unpublishAt'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id).select('status publishAt unpublishAt').lean();
+      if (!job) return res.status(404).json({ message: 'Job not found' });
+
+      const now = new Date();
+      const $set = {};
+      const $unset = {};
+      const { publishAt, unpublishAt } = req.body;
+
+      if (publishAt !== undefined) {
+        if (job.status !== 'draft') return res.status(409).json({ message: 'Only drafts can be scheduled to publish' });
+        if (publishAt === null) $unset.publishAt = 1;
+        else if (new Date(publishAt) <= now) return res.status(400).json({ message: 'publishAt must be in the future' });
+        else $set.publishAt = new Date(publishAt);
+      }
+
+      if (unpublishAt === null) $unset.unpublishAt = 1;
+      else if (unpublishAt !== undefined) {
+        const publishing = publishAt !== undefined ? $set.publishAt : job.publishAt;
+        const liveFrom = publishing && publishing > now ? publishing : now;
+        if (new Date(unpublishAt) <= liveFrom) {
+          return res.status(400).json({ message: 'unpublishAt must be after the job goes live' });
+        }
+        $set.unpublishAt = new Date(unpublishAt);
+      }
+
+      const updated = await Job.findByIdAndUpdate(
+        req.params.id,
+        { $set: { ...$set, lastUpdatedBy: req.userId }, ...(Object.keys($unset).length ? { $unset } : {}) },
+        { new: true }
+      );
+      res.json(updated);
+    } catch (err) {
+      console.error('PUT /admin/jobs/:id/schedule:', err);
+      res.status(500).json({ message: 'Failed to schedule job' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// routes/jobViews.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { optionalSession, requireAdmin } = require('../middleware/auth');
+const { recordJobView, dailyViews } = require('../utils/jobViews');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+/* -------------------------------------------------------------------------- */
+/*                            POST /jobs/:id/view                             */
+/* -------------------------------------------------------------------------- */
+// Beacon for clients that render job details without GET /jobs/:id
+// (e.g. from search results). Repeats within the window are not counted.
+router.post('/jobs/:id/view', optionalSession, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    const job = await Job.findById(req.params.id).select('status isApproved').lean();
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    res.json({ counted: await recordJobView(req, job) });
+  } catch (err) {
+    console.error('POST /jobs/:id/view:', err);
+    res.status(500).json({ message: 'Failed to record view' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                         GET /admin/jobs/:id/views                          */
+/* -------------------------------------------------------------------------- */
+// Daily views for charts; ?from&to (ISO dates), default the last 30 days
+router.get(
+  '/admin/jobs/:id/views',
+  requireAdmin,
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
+      const job = await Job.findById(req.params.id).select('title views').lean();
+      if (!job) return res.status(404).json({ message: 'Job not found' });
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to - (DEFAULT_DAYS - 1) * DAY_MS);
+      if (from > to || to - from > MAX_DAYS * DAY_MS) {
+        return res.status(400).json({ message: `from must be before to, at most ${MAX_DAYS} days apart` });
+      }
+
+      res.json({ job: { _id: job._id, title: job.title }, totalViews: job.views || 0, days: await dailyViews(job._id, { from, to }) });
+    } catch (err) {
+      console.error('GET /admin/jobs/:id/views:', err);
+      res.status(500).json({ message: 'Failed to load job views' });
+    }
+  }
+);
+
+module.exports = router;
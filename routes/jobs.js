@@ -3,6 +3,17 @@ const express = require('express');
 const router = express.Router();
 const Job = require('../models/Job');
 const Company = require('../models/Company');
+const { optionalSession, requireAdmin } = require('../middleware/auth');
+const { jobSearchValidation, validateJobSearch } = require('../middleware/jobSearchValidation');
+const { notifyNewJob } = require('../utils/jobAlerts');
+const { resolveSort, buildAdvancedJobFilter, locationQuery, aggregateJobSearch, pageHeaders } = require('../utils/jobSearch');
+const { withFuzzyFallback, updateJobVocabulary, correctionHeaders } = require('../utils/fuzzySearch');
+const { loadSynonyms, expandQuery, matchPhrases } = require('../utils/synonyms');
+const { recordJobView } = require('../utils/jobViews');
+const { logSearch } = require('../utils/searchAnalytics');
+const { hideDrafts, isHiddenDraft, isPublishAttempt } = require('../utils/jobPublishing');
+const { hideUnmoderated, isHiddenSubmission, submissionFields, omitModerationFields } = require('../utils/jobModeration');
+const { withHighlights, parseHighlightOptions } = require('../utils/highlight');
 
 /* --------------------------- helpers --------------------------- */
 // Map various inputs to your enum values from the model
@@ -46,22 +57,14 @@ function sanitizeJobPayload(src) {
 /* -------------------------------------------------------------------------- */
 /*                                 GET /jobs                                  */
 /* -------------------------------------------------------------------------- */
-router.get('/', async (req, res) => {
+router.get('/', optionalSession, jobSearchValidation, validateJobSearch, async (req, res) => {
   try {
-    const { q: text, jobType, location, category, approvedOnly, status } = req.query;
-    const query = {};
-
-    if (text) {
-      query.$or = [
-        { $text: { $search: text } },
-        { title: { $regex: text, $options: 'i' } },
-        { description: { $regex: text, $options: 'i' } },
-        { shortDescription: { $regex: text, $options: 'i' } },
-      ];
-    }
+    const { q, jobType, location, category, approvedOnly, status, sort, near, cursor, limit, withTotal } = req.query;
+    // stipend range, postedWithin, remote/hybrid, benefits, skills
+    const query = buildAdvancedJobFilter(req.query);
 
-    if (jobType) query.jobType = normalizeJobType(jobType);
-    if (location) query.location = { $regex: location, $options: 'i' };
+    if (jobType) query.jobType = String(normalizeJobType(jobType)).toLowerCase();
+    if (location) Object.assign(query, locationQuery(location));
 
     if (category) {
       query.$or = (query.$or || []).concat([
@@ -72,21 +75,56 @@ router.get('/', async (req, res) => {
 
     if (approvedOnly === 'true') query.isApproved = true;
     if (status) query.status = status;
-
-    const projection = {};
-    let sort = { createdAt: -1 };
-
-    if (text) {
-      projection.score = { $meta: 'textScore' };
-      sort = { score: { $meta: 'textScore' }, createdAt: -1 };
-    }
-
-    const jobs = await Job.find(query, projection)
-      .populate('company', 'name logoUrl location website industry email phone')
-      .sort(sort)
-      .lean();
-
-    res.json(jobs);
+    hideDrafts(query, req.userRole);
+    hideUnmoderated(query, req.userRole);
+
+    // Weighted text index covers title, descriptions, skills, requirements,
+    // categories and company name. A cursor page of hits, facet counts
+    // (?facets=false to skip) and the optional total come back from one
+    // aggregation. First pages of text searches are logged with their total.
+    // The bare array stays unbounded unless ?limit= or ?cursor= asks for a page.
+    const logged = Boolean(q) && !cursor;
+    const envelope = req.query.envelope === 'true';
+    const pageSize = envelope || limit || cursor ? limit : null;
+    const synonyms = q ? await loadSynonyms() : null;
+    const search = async (text) => {
+      // Synonyms widen the $text match (multi-word ones as phrases); cursors
+      // and scores keep the typed text
+      const { query: expanded, phrases, expansion } = expandQuery(text, synonyms);
+      const page = await aggregateJobSearch({
+        match: text ? await matchPhrases({ ...query, $text: { $search: expanded } }, phrases) : query,
+        q: text,
+        sort: resolveSort({ q: text, sort, near }),
+        near,
+        cursor,
+        limit: pageSize,
+        withFacets: envelope && req.query.facets !== 'false',
+        withTotal: withTotal === 'true' || logged,
+      });
+      return { ...page, expansion, expandedQuery: [expanded, ...phrases].join(' ') };
+    };
+
+    // No hits: suggests typo-corrected terms (didYouMean) and, unless
+    // ?autoCorrect=false, returns their results instead
+    const { jobs, expandedQuery, ...meta } = await withFuzzyFallback(q, search, {
+      cursor,
+      autoCorrect: req.query.autoCorrect !== 'false',
+    });
+    // searchId ties result clicks (POST /api/search/clicks) back to this search
+    const log = logged
+      ? await logSearch(req, { term: q, resultCount: meta.total, correctedTerm: meta.correctedQuery, filters: req.query })
+          .catch((err) => console.error('logSearch:', err))
+      : null;
+    const hits = withHighlights(
+      jobs.map((j) => Job.withSavedFlag(j, req.userId)),
+      expandedQuery,
+      parseHighlightOptions(req.query)
+    );
+
+    // A bare array, as before (a page's cursors and any typo correction go in
+    // headers); ?envelope=true adds cursor, facets, didYouMean, searchId
+    if (!envelope) return res.set({ ...pageHeaders(meta), ...correctionHeaders(meta) }).json(hits);
+    res.json({ jobs: hits, ...meta, ...(log ? { searchId: log._id } : {}) });
   } catch (err) {
     console.error('GET /jobs:', err);
     res.status(500).json({ message: 'Failed to load jobs' });
@@ -116,12 +154,15 @@ router.get('/categories', async (_req, res) => {
 /* -------------------------------------------------------------------------- */
 /*                                 GET /jobs/:id                              */
 /* -------------------------------------------------------------------------- */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalSession, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('company', 'name logoUrl location website industry email phone');
-    if (!job) return res.status(404).json({ message: 'Job not found' });
-    res.json(job);
+    if (!job || isHiddenDraft(job, req.userRole) || isHiddenSubmission(job, req.userRole)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    recordJobView(req, job).catch((e) => console.error('[Views] record failed:', e.message));
+    res.json(Job.withSavedFlag(job, req.userId));
   } catch (err) {
     console.error('GET /jobs/:id:', err);
     res.status(500).json({ message: 'Error fetching job' });
@@ -131,22 +172,25 @@ router.get('/:id', async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /*                                 POST /jobs                                 */
 /* -------------------------------------------------------------------------- */
-router.post('/', async (req, res) => {
+router.post('/', optionalSession, async (req, res) => {
   try {
-    const payload = sanitizeJobPayload(req.body);
+    const payload = sanitizeJobPayload(omitModerationFields(req.body));
 
     if (payload.company) {
       const exists = await Company.exists({ _id: payload.company });
       if (!exists) return res.status(400).json({ message: 'Invalid company ID' });
     }
 
+    // Non-admin submissions wait in GET /api/admin/jobs/pending
     const job = await Job.create({
       ...payload,
       status: payload.status || 'active',
-      isApproved: payload.isApproved !== undefined ? payload.isApproved : true,
+      ...submissionFields(req),
     });
 
     await job.populate('company', 'name logoUrl location website industry email phone');
+    updateJobVocabulary(job); // did-you-mean picks up new titles/skills straight away
+    notifyNewJob(job).catch((e) => console.error('[Alerts] notify failed:', e.message));
 
     res.status(201).json(job);
   } catch (err) {
@@ -161,21 +205,28 @@ router.post('/', async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /*                                 PUT /jobs/:id                              */
 /* -------------------------------------------------------------------------- */
-router.put('/:id', async (req, res) => {
+// Admin only: edits skip moderation, so submitters cannot change approved jobs
+router.put('/:id', requireAdmin, async (req, res) => {
   try {
-    const payload = sanitizeJobPayload(req.body);
+    const payload = sanitizeJobPayload(omitModerationFields(req.body));
 
     if (payload.company) {
       const exists = await Company.exists({ _id: payload.company });
       if (!exists) return res.status(400).json({ message: 'Invalid company ID' });
     }
 
+    const current = await Job.findById(req.params.id).select('status').lean();
+    if (isPublishAttempt(current, payload)) {
+      return res.status(409).json({ message: 'Publish drafts with POST /api/admin/jobs/:id/publish' });
+    }
+
     const job = await Job.findByIdAndUpdate(req.params.id, payload, {
       new: true,
       runValidators: true,
     }).populate('company', 'name logoUrl location website industry email phone');
 
     if (!job) return res.status(404).json({ message: 'Job not found' });
+    updateJobVocabulary(job);
 
     res.json(job);
   } catch (err) {
@@ -190,10 +241,11 @@ router.put('/:id', async (req, res) => {
 /* -------------------------------------------------------------------------- */
 /*                              DELETE /jobs/:id                              */
 /* -------------------------------------------------------------------------- */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdmin, async (req, res) => {
   try {
     const job = await Job.findByIdAndDelete(req.params.id);
     if (!job) return res.status(404).json({ message: 'Job not found' });
+    updateJobVocabulary(job, { removed: true });
     res.json({ message: 'Job deleted successfully' });
   } catch (err) {
     console.error('DELETE /jobs/:id:', err);
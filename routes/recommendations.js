@@ -0,0 +1,73 @@
+// routes/recommendations.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobDismissal = require('../models/JobDismissal');
+const { requireAuth } = require('../middleware/auth');
+const { recommendJobs, MAX_LIMIT } = require('../utils/recommendations');
+
+/* --------------------------- helpers --------------------------- */
+const isStudentOrAlumni = (req) => req.userRole === 'student' || req.userRole === 'alumni';
+
+/* -------------------------------------------------------------------------- */
+/*                         GET /me/recommended-jobs                           */
+/* -------------------------------------------------------------------------- */
+// ?limit= (1-50, default 10). Each job carries recommendation.reasons.
+router.get('/me/recommended-jobs', requireAuth, async (req, res) => {
+  try {
+    if (!isStudentOrAlumni(req)) {
+      return res.status(403).json({ message: 'Recommendations are for students and alumni' });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit ?? 10) || 10, 1), MAX_LIMIT);
+    const jobs = await recommendJobs({ userId: req.userId, limit });
+    res.json({ jobs });
+  } catch (err) {
+    console.error('GET /me/recommended-jobs:', err);
+    res.status(500).json({ message: 'Failed to load recommended jobs' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                           POST /jobs/:id/dismiss                           */
+/* -------------------------------------------------------------------------- */
+// "Not interested": the job is no longer recommended to this user
+router.post('/jobs/:id/dismiss', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    const exists = await Job.exists({ _id: req.params.id });
+    if (!exists) return res.status(404).json({ message: 'Job not found' });
+
+    const reason = req.body?.reason != null ? String(req.body.reason).trim() : undefined;
+    await JobDismissal.updateOne(
+      { user: req.userId, job: req.params.id },
+      { $set: { reason } },
+      { upsert: true, runValidators: true }
+    );
+    res.json({ dismissed: true });
+  } catch (err) {
+    console.error('POST /jobs/:id/dismiss:', err);
+    res.status(500).json({ message: 'Failed to dismiss job' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          DELETE /jobs/:id/dismiss                          */
+/* -------------------------------------------------------------------------- */
+router.delete('/jobs/:id/dismiss', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    await JobDismissal.deleteOne({ user: req.userId, job: req.params.id });
+    res.json({ dismissed: false });
+  } catch (err) {
+    console.error('DELETE /jobs/:id/dismiss:', err);
+    res.status(500).json({ message: 'Failed to undo dismissal' });
+  }
+});
+
+module.exports = router;
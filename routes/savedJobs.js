@@ -0,0 +1,109 @@
+// routes/savedJobs.js
+const express = require('express');
+const router = express.Router();
+const Job = require('../models/Job');
+const { requireAuth } = require('../middleware/auth');
+
+/* --------------------------- helpers --------------------------- */
+// Saved jobs a student can no longer act on: closed, or past their deadline
+const staleQuery = (userId, now = new Date()) => ({
+  savedBy: userId,
+  $or: [{ status: 'closed' }, { applicationDeadline: { $lt: now } }],
+});
+
+const openQuery = (userId, now = new Date()) => ({
+  savedBy: userId,
+  status: { $ne: 'closed' },
+  $or: [{ applicationDeadline: null }, { applicationDeadline: { $gte: now } }],
+});
+
+/* -------------------------------------------------------------------------- */
+/*                             POST /jobs/:id/save                            */
+/* -------------------------------------------------------------------------- */
+router.post('/jobs/:id/save', requireAuth, async (req, res) => {
+  try {
+    const job = await Job.findOneAndUpdate(
+      { _id: req.params.id, isApproved: true, status: { $ne: 'draft' } },
+      { $addToSet: { savedBy: req.userId } },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    res.json({ saved: true, savedCount: job.savedBy.length });
+  } catch (err) {
+    console.error('POST /jobs/:id/save:', err);
+    res.status(500).json({ message: 'Failed to save job' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                            DELETE /jobs/:id/save                           */
+/* -------------------------------------------------------------------------- */
+router.delete('/jobs/:id/save', requireAuth, async (req, res) => {
+  try {
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { savedBy: req.userId } },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+
+    res.json({ saved: false, savedCount: job.savedBy.length });
+  } catch (err) {
+    console.error('DELETE /jobs/:id/save:', err);
+    res.status(500).json({ message: 'Failed to unsave job' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                            GET /me/saved-jobs                              */
+/* -------------------------------------------------------------------------- */
+// Open jobs are paginated; stale ones (closed / past deadline) come back in
+// full under `stale` so the student can clean them up.
+router.get('/me/saved-jobs', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page ?? 1) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit ?? 10) || 10, 1), 50);
+    const now = new Date();
+
+    const [jobs, total, stale] = await Promise.all([
+      Job.find(openQuery(req.userId, now))
+        .populate('company', 'name logoUrl location website industry email phone')
+        .sort({ applicationDeadline: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(openQuery(req.userId, now)),
+      Job.find(staleQuery(req.userId, now))
+        .populate('company', 'name logoUrl location website industry email phone')
+        .sort({ applicationDeadline: -1 })
+        .lean(),
+    ]);
+
+    res.json({
+      jobs: jobs.map((j) => Job.withSavedFlag(j, req.userId)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+      stale: stale.map((j) => Job.withSavedFlag(j, req.userId)),
+    });
+  } catch (err) {
+    console.error('GET /me/saved-jobs:', err);
+    res.status(500).json({ message: 'Failed to load saved jobs' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                        DELETE /me/saved-jobs/stale                         */
+/* -------------------------------------------------------------------------- */
+router.delete('/me/saved-jobs/stale', requireAuth, async (req, res) => {
+  try {
+    const result = await Job.updateMany(staleQuery(req.userId), { $pull: { savedBy: req.userId } });
+    res.json({ removed: result.modifiedCount });
+  } catch (err) {
+    console.error('DELETE /me/saved-jobs/stale:', err);
+    res.status(500).json({ message: 'Failed to remove stale saved jobs' });
+  }
+});
+
+module.exports = router;
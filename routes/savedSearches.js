@@ -0,0 +1,109 @@
+// routes/savedSearches.js
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const { requireAuth } = require('../middleware/auth');
+const { pickSearchFilters } = require('../utils/jobSearch');
+
+/* --------------------------- helpers --------------------------- */
+// Accept filters either nested ({ filters: { q } }) or flat ({ q }) like GET /api/jobs
+function pickSavedSearchFields(src = {}) {
+  const out = {};
+  if (src.name != null) out.name = String(src.name).trim();
+  if (src.frequency != null) out.frequency = String(src.frequency).trim().toLowerCase();
+  if (typeof src.isActive === 'boolean') out.isActive = src.isActive;
+
+  const filters = pickSearchFilters(src.filters || src);
+  if (Object.keys(filters).length) out.filters = filters;
+  return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           GET /me/saved-searches                           */
+/* -------------------------------------------------------------------------- */
+router.get('/me/saved-searches', requireAuth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.userId }).sort({ createdAt: -1 });
+    res.json(searches);
+  } catch (err) {
+    console.error('GET /me/saved-searches:', err);
+    res.status(500).json({ message: 'Failed to load saved searches' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          POST /me/saved-searches                           */
+/* -------------------------------------------------------------------------- */
+router.post('/me/saved-searches', requireAuth, async (req, res) => {
+  try {
+    const payload = pickSavedSearchFields(req.body);
+    if (!payload.filters) {
+      return res.status(400).json({ message: 'At least one search filter is required' });
+    }
+
+    const search = await SavedSearch.create({ ...payload, user: req.userId });
+    res.status(201).json(search);
+  } catch (err) {
+    console.error('POST /me/saved-searches:', err);
+    res.status(400).json({
+      message: err.message || 'Failed to save search',
+      errors: err.errors || null,
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                        PUT /me/saved-searches/:id                          */
+/* -------------------------------------------------------------------------- */
+router.put('/me/saved-searches/:id', requireAuth, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      pickSavedSearchFields(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    res.json(search);
+  } catch (err) {
+    console.error('PUT /me/saved-searches/:id:', err);
+    res.status(400).json({
+      message: err.message || 'Failed to update saved search',
+      errors: err.errors || null,
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                       DELETE /me/saved-searches/:id                        */
+/* -------------------------------------------------------------------------- */
+router.delete('/me/saved-searches/:id', requireAuth, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (err) {
+    console.error('DELETE /me/saved-searches/:id:', err);
+    res.status(500).json({ message: err.message || 'Failed to delete saved search' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                 GET /saved-searches/unsubscribe/:token                     */
+/* -------------------------------------------------------------------------- */
+// Linked from alert emails, so no login required
+router.get('/saved-searches/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!search) return res.status(404).json({ message: 'Unsubscribe link is invalid' });
+    res.json({ message: `You will no longer receive alerts for "${search.name}"` });
+  } catch (err) {
+    console.error('GET /saved-searches/unsubscribe/:token:', err);
+    res.status(500).json({ message: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// routes/scheduler.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { isDefined, listTasks, runTask, setPaused } = require('../utils/scheduler');
+
+// 404 for names not in config/scheduledTasks.js
+function findTask(req, res, next) {
+  if (!isDefined(req.params.name)) return res.status(404).json({ message: 'Task not found' });
+  next();
+}
+
+/* -------------------------------------------------------------------------- */
+/*                         GET /admin/scheduler/tasks                         */
+/* -------------------------------------------------------------------------- */
+// Every task with its schedule, next run and last run (duration, error)
+router.get('/admin/scheduler/tasks', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listTasks());
+  } catch (err) {
+    console.error('GET /admin/scheduler/tasks:', err);
+    res.status(500).json({ message: 'Failed to load tasks' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                   POST /admin/scheduler/tasks/:name/run                    */
+/* -------------------------------------------------------------------------- */
+// Runs now (even when paused) and answers once the run is over
+router.post('/admin/scheduler/tasks/:name/run', requireAdmin, findTask, async (req, res) => {
+  try {
+    const task = await runTask(req.params.name);
+    if (!task) return res.status(409).json({ message: 'Task is already running' });
+    res.json(task);
+  } catch (err) {
+    console.error('POST /admin/scheduler/tasks/:name/run:', err);
+    res.status(500).json({ message: 'Failed to run task' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*          POST /admin/scheduler/tasks/:name/pause | .../resume              */
+/* -------------------------------------------------------------------------- */
+// Pausing skips scheduled runs (a run in progress finishes); resuming
+// continues from the next scheduled time without catching up
+['pause', 'resume'].forEach((action) => {
+  router.post(`/admin/scheduler/tasks/:name/${action}`, requireAdmin, findTask, async (req, res) => {
+    try {
+      const task = await setPaused(req.params.name, action === 'pause');
+      if (!task) return res.status(404).json({ message: 'Task not found' });
+      res.json(task);
+    } catch (err) {
+      console.error(`POST /admin/scheduler/tasks/:name/${action}:`, err);
+      res.status(500).json({ message: `Failed to ${action} task` });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/search.js
+const express = require('express');
+const router = express.Router();
+const { query, body, validationResult } = require('express-validator');
+const { optionalSession } = require('../middleware/auth');
+const { suggest, MAX_LIMIT } = require('../utils/searchSuggest');
+const { logClick } = require('../utils/searchAnalytics');
+
+/* -------------------------------------------------------------------------- */
+/*                           GET /search/suggest                              */
+/* -------------------------------------------------------------------------- */
+// Called on every keystroke: reads the SearchTerm prefix index through a cache
+router.get(
+  '/search/suggest',
+  optionalSession,
+  [
+    query('prefix')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('prefix is required (at most 100 characters)'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+      .toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    try {
+      const { prefix, limit } = req.query;
+      const suggestions = await suggest({ prefix, limit, role: req.userRole });
+      res.json({ prefix, suggestions });
+    } catch (err) {
+      console.error('GET /search/suggest:', err);
+      res.status(500).json({ message: 'Failed to load suggestions' });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/*                            POST /search/clicks                             */
+/* -------------------------------------------------------------------------- */
+// { searchId, jobId, position }: a result opened from a search. searchId comes
+// with the first page of results; position is the 1-based rank across pages.
+router.post(
+  '/search/clicks',
+  optionalSession,
+  [
+    body('searchId').isMongoId().withMessage('searchId is invalid'),
+    body('jobId').isMongoId().withMessage('jobId is invalid'),
+    body('position').isInt({ min: 1, max: 1000 }).withMessage('position must be between 1 and 1000').toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    try {
+      const { searchId, jobId, position } = req.body;
+      // false for repeat clicks and searches run by another session
+      const recorded = await logClick(req, { searchId, jobId, position });
+      res.json({ recorded });
+    } catch (err) {
+      console.error('POST /search/clicks:', err);
+      res.status(500).json({ message: 'Failed to record click' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// routes/searchAnalytics.js
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  ROLES,
+  parseRange,
+  topTerms,
+  termTrend,
+  roleBreakdown,
+  zeroResultSearches,
+  clickThrough,
+} = require('../utils/searchAnalytics');
+
+/* --------------------------- helpers --------------------------- */
+const rangeValidation = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('to must not be before from'),
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200').toInt(),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+};
+
+/* -------------------------------------------------------------------------- */
+/*                  GET /admin/search-analytics/top-terms                     */
+/* -------------------------------------------------------------------------- */
+router.get('/admin/search-analytics/top-terms', requireAdmin, rangeValidation, validate, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const terms = await topTerms({ range, role: req.query.role, limit: req.query.limit });
+    res.json({ ...range, terms });
+  } catch (err) {
+    console.error('GET /admin/search-analytics/top-terms:', err);
+    res.status(500).json({ message: 'Failed to load top search terms' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                    GET /admin/search-analytics/trend                       */
+/* -------------------------------------------------------------------------- */
+router.get(
+  '/admin/search-analytics/trend',
+  requireAdmin,
+  [
+    query('term').trim().notEmpty().withMessage('term is required'),
+    query('interval').optional().isIn(['day', 'week']).withMessage('interval must be "day" or "week"'),
+    ...rangeValidation,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const { term, interval = 'day' } = req.query;
+      const points = await termTrend({ term, range, interval });
+      res.json({ ...range, term, interval, points });
+    } catch (err) {
+      console.error('GET /admin/search-analytics/trend:', err);
+      res.status(500).json({ message: 'Failed to load search trend' });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/*                    GET /admin/search-analytics/roles                       */
+/* -------------------------------------------------------------------------- */
+router.get('/admin/search-analytics/roles', requireAdmin, rangeValidation, validate, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    res.json({ ...range, roles: await roleBreakdown({ range }) });
+  } catch (err) {
+    console.error('GET /admin/search-analytics/roles:', err);
+    res.status(500).json({ message: 'Failed to load role breakdown' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                 GET /admin/search-analytics/zero-results                   */
+/* -------------------------------------------------------------------------- */
+router.get('/admin/search-analytics/zero-results', requireAdmin, rangeValidation, validate, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    const terms = await zeroResultSearches({ range, role: req.query.role, limit: req.query.limit });
+    res.json({ ...range, terms });
+  } catch (err) {
+    console.error('GET /admin/search-analytics/zero-results:', err);
+    res.status(500).json({ message: 'Failed to load zero-result searches' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                    GET /admin/search-analytics/clicks                      */
+/* -------------------------------------------------------------------------- */
+// CTR and MRR per term; minSearches hides terms too rare to judge
+router.get(
+  '/admin/search-analytics/clicks',
+  requireAdmin,
+  [
+    ...rangeValidation,
+    query('minSearches').optional().isInt({ min: 1 }).withMessage('minSearches must be a positive integer').toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const { role, limit, minSearches } = req.query;
+      const report = await clickThrough({ range, role, limit, minSearches });
+      res.json({ ...range, ...report });
+    } catch (err) {
+      console.error('GET /admin/search-analytics/clicks:', err);
+      res.status(500).json({ message: 'Failed to load click-through stats' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// routes/similarJobs.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { optionalSession } = require('../middleware/auth');
+const { findSimilarJobs, MAX_LIMIT } = require('../utils/similarJobs');
+
+/* -------------------------------------------------------------------------- */
+/*                           GET /jobs/:id/similar                            */
+/* -------------------------------------------------------------------------- */
+// ?limit= (1-20, default 6) &excludeSameCompany=true
+router.get('/jobs/:id/similar', optionalSession, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const jobs = await findSimilarJobs({
+      jobId: req.params.id,
+      limit: Math.min(Math.max(Number(req.query.limit ?? 6) || 6, 1), MAX_LIMIT),
+      excludeSameCompany: req.query.excludeSameCompany === 'true',
+      userId: req.userId,
+    });
+    if (!jobs) return res.status(404).json({ message: 'Job not found' });
+
+    res.json({ jobs });
+  } catch (err) {
+    console.error('GET /jobs/:id/similar:', err);
+    res.status(500).json({ message: 'Failed to load similar jobs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// routes/synonyms.js
+const express = require('express');
+const router = express.Router();
+const Synonym = require('../models/Synonym');
+const { requireAdmin } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/jobSearch');
+const { loadSynonyms, clearSynonymCache, expandQuery } = require('../utils/synonyms');
+
+/* --------------------------- helpers --------------------------- */
+// terms as an array or a comma-separated string ("amt, aircraft maintenance technician")
+function pickSynonymFields(src = {}) {
+  const out = {};
+  if (src.direction != null) out.direction = String(src.direction).trim().toLowerCase();
+  if (src.input != null) out.input = String(src.input);
+  if (src.terms != null) {
+    out.terms = (Array.isArray(src.terms) ? src.terms : String(src.terms).split(',')).map(String);
+  }
+  if (src.note != null) out.note = String(src.note).trim();
+  if (typeof src.isActive === 'boolean') out.isActive = src.isActive;
+  return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            GET /admin/synonyms                             */
+/* -------------------------------------------------------------------------- */
+// ?q= matches input or any term; ?active=true|false
+router.get('/admin/synonyms', requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegex(Synonym.normalizePhrase(req.query.q)), 'i');
+      filter.$or = [{ input: rx }, { terms: rx }];
+    }
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const synonyms = await Synonym.find(filter).sort({ updatedAt: -1 }).lean();
+    res.json(synonyms);
+  } catch (err) {
+    console.error('GET /admin/synonyms:', err);
+    res.status(500).json({ message: 'Failed to load synonyms' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                        GET /admin/synonyms/preview                         */
+/* -------------------------------------------------------------------------- */
+// What a query expands to with the active dictionary
+router.get('/admin/synonyms/preview', requireAdmin, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ message: 'q is required' });
+
+    const { query, phrases, expansion } = expandQuery(q, await loadSynonyms());
+    res.json({ q, expandedQuery: query, phrases, expansion });
+  } catch (err) {
+    console.error('GET /admin/synonyms/preview:', err);
+    res.status(500).json({ message: 'Failed to preview expansion' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                            POST /admin/synonyms                            */
+/* -------------------------------------------------------------------------- */
+router.post('/admin/synonyms', requireAdmin, async (req, res) => {
+  try {
+    const synonym = await Synonym.create({ ...pickSynonymFields(req.body), createdBy: req.userId });
+    clearSynonymCache();
+    res.status(201).json(synonym);
+  } catch (err) {
+    console.error('POST /admin/synonyms:', err);
+    res.status(400).json({
+      message: err.message || 'Failed to create synonym',
+      errors: err.errors || null,
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          PUT /admin/synonyms/:id                           */
+/* -------------------------------------------------------------------------- */
+// find + save rather than findOneAndUpdate so the normalising hook runs
+router.put('/admin/synonyms/:id', requireAdmin, async (req, res) => {
+  try {
+    const synonym = await Synonym.findById(req.params.id);
+    if (!synonym) return res.status(404).json({ message: 'Synonym not found' });
+
+    synonym.set(pickSynonymFields(req.body));
+    await synonym.save();
+    clearSynonymCache();
+    res.json(synonym);
+  } catch (err) {
+    console.error('PUT /admin/synonyms/:id:', err);
+    res.status(400).json({
+      message: err.message || 'Failed to update synonym',
+      errors: err.errors || null,
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                         DELETE /admin/synonyms/:id                         */
+/* -------------------------------------------------------------------------- */
+router.delete('/admin/synonyms/:id', requireAdmin, async (req, res) => {
+  try {
+    const synonym = await Synonym.findByIdAndDelete(req.params.id);
+    if (!synonym) return res.status(404).json({ message: 'Synonym not found' });
+    clearSynonymCache();
+    res.json({ message: 'Synonym deleted successfully' });
+  } catch (err) {
+    console.error('DELETE /admin/synonyms/:id:', err);
+    res.status(500).json({ message: err.message || 'Failed to delete synonym' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// scripts/backfillGeo.js
+// One-off: resolve Company.geo and Job.geo from their free-text locations
+// with the offline gazetteer, and build the 2dsphere indexes.
+//   node scripts/backfillGeo.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { resolvePlace, toPoint, hasPoint } = require('../utils/geo');
+
+async function backfillGeo() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  await Company.syncIndexes();
+  await Job.syncIndexes();
+
+  // Companies first: jobs without a recognisable location borrow their company's point
+  const companyGeo = new Map();
+  const companies = await Company.find().select('location geo').lean();
+  let located = 0;
+  for (const c of companies) {
+    const place = resolvePlace(c.location);
+    const geo = (place && toPoint(place)) || null;
+    if (geo) {
+      await Company.updateOne({ _id: c._id }, { $set: { geo } });
+      companyGeo.set(String(c._id), geo);
+      located += 1;
+    } else if (hasPoint(c.geo)) {
+      companyGeo.set(String(c._id), c.geo);
+    }
+  }
+  console.log(`✅ ${located}/${companies.length} companies located`);
+
+  const unresolved = new Set();
+  const jobs = await Job.find().select('location company').lean();
+  located = 0;
+  for (const j of jobs) {
+    const place = resolvePlace(j.location);
+    const companyId = String(j.company?._id || j.company); // company is auto-populated
+    const geo = (place && toPoint(place)) || companyGeo.get(companyId);
+    if (!geo) {
+      unresolved.add(j.location);
+      continue;
+    }
+    await Job.updateOne({ _id: j._id }, { $set: { geo } });
+    located += 1;
+  }
+  console.log(`✅ ${located}/${jobs.length} jobs located`);
+  if (unresolved.size) console.log(`⚠️  Unrecognised job locations: ${[...unresolved].join(' | ')}`);
+
+  await mongoose.disconnect();
+}
+
+backfillGeo().catch(async (err) => {
+  console.error('❌ Backfill error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// scripts/backfillModeration.js
+// One-off: set moderationStatus (see utils/jobModeration.js) on jobs saved
+// before it existed, from isApproved, so unapproved ones join the queue.
+//   node scripts/backfillModeration.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+async function backfillModeration() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  await Job.syncIndexes();
+
+  const missing = { moderationStatus: { $exists: false } };
+  const pending = await Job.updateMany(
+    { ...missing, isApproved: false },
+    { $set: { moderationStatus: 'pending' } }
+  );
+  const approved = await Job.updateMany(
+    { ...missing, isApproved: { $ne: false } },
+    { $set: { moderationStatus: 'approved' } }
+  );
+
+  console.log(`✅ Moderation status set: ${pending.modifiedCount} pending, ${approved.modifiedCount} approved`);
+  await mongoose.disconnect();
+}
+
+backfillModeration().catch(async (err) => {
+  console.error('❌ Backfill error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
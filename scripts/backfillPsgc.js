@@ -0,0 +1,58 @@
+// scripts/backfillPsgc.js
+// One-off: fill region/province/city (PSGC codes) on existing companies and
+// jobs from their free-text location, and build the matching indexes.
+//   node scripts/backfillPsgc.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { normalizeLocation } = require('../utils/psgc');
+
+// { $set, $unset } for one location; unresolved levels are cleared
+function psgcUpdate(location) {
+  const $set = {};
+  const $unset = {};
+  for (const [level, value] of Object.entries(normalizeLocation(location))) {
+    if (value) $set[level] = value;
+    else $unset[level] = 1;
+  }
+  return { ...(Object.keys($set).length ? { $set } : {}), ...(Object.keys($unset).length ? { $unset } : {}) };
+}
+
+async function backfill(Model, label) {
+  const docs = await Model.find().select('location').lean();
+  const unresolved = new Set();
+  let resolved = 0;
+
+  for (const d of docs) {
+    const update = psgcUpdate(d.location);
+    await Model.updateOne({ _id: d._id }, update);
+    if (update.$set) resolved += 1;
+    else if (d.location) unresolved.add(d.location);
+  }
+
+  console.log(`✅ ${resolved}/${docs.length} ${label} mapped to a PSGC place`);
+  if (unresolved.size) console.log(`⚠️  Unrecognised ${label} locations: ${[...unresolved].join(' | ')}`);
+}
+
+async function backfillPsgc() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  await Company.syncIndexes();
+  await Job.syncIndexes();
+
+  await backfill(Company, 'companies');
+  await backfill(Job, 'jobs');
+
+  await mongoose.disconnect();
+}
+
+backfillPsgc().catch(async (err) => {
+  console.error('❌ Backfill error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
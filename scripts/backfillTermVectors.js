@@ -0,0 +1,33 @@
+// scripts/backfillTermVectors.js
+// One-off: compute the similarity term vector (see utils/termVector.js) for
+// jobs saved before it existed, and build its index.
+//   node scripts/backfillTermVectors.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { TERM_VECTOR_FIELDS, buildTermVector } = require('../utils/termVector');
+
+async function backfillTermVectors() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  await Job.syncIndexes();
+
+  const jobs = await Job.find().select(TERM_VECTOR_FIELDS.join(' ')).lean();
+  const ops = jobs.map((j) => ({
+    updateOne: { filter: { _id: j._id }, update: { $set: { termVector: buildTermVector(j) } } },
+  }));
+  if (ops.length) await Job.bulkWrite(ops, { ordered: false });
+
+  console.log(`✅ Term vectors computed for ${ops.length} jobs`);
+  await mongoose.disconnect();
+}
+
+backfillTermVectors().catch(async (err) => {
+  console.error('❌ Backfill error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+// scripts/migrateResumes.js
+// One-off: move resumes out of the public uploads/resumes folder into the
+// private store (utils/resumes.js) and point applications at the download
+// endpoint. Files no application references are moved too.
+//   node scripts/migrateResumes.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const { RESUME_DIR, LEGACY_RESUME_DIR, resumeUrl } = require('../utils/resumes');
+
+async function migrateResumes() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  fs.mkdirSync(RESUME_DIR, { recursive: true });
+  const files = fs.existsSync(LEGACY_RESUME_DIR) ? fs.readdirSync(LEGACY_RESUME_DIR) : [];
+  for (const name of files) {
+    fs.renameSync(path.join(LEGACY_RESUME_DIR, name), path.join(RESUME_DIR, name));
+  }
+
+  const legacy = await Application.find({ 'resume.url': /^\/uploads\/resumes\// }).select('resume.url').lean();
+  const ops = legacy.map((a) => ({
+    updateOne: {
+      filter: { _id: a._id },
+      update: { $set: { 'resume.url': resumeUrl(a._id), 'resume.fileName': path.basename(a.resume.url) } },
+    },
+  }));
+  if (ops.length) await Application.bulkWrite(ops, { ordered: false });
+
+  console.log(`✅ Moved ${files.length} resume file(s), updated ${ops.length} application(s)`);
+  await mongoose.disconnect();
+}
+
+migrateResumes().catch(async (err) => {
+  console.error('❌ Migration error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// scripts/seedSynonyms.js
+// Seed the search synonym dictionary with common aviation jargon. Existing
+// entries (same direction and first term / input) are left as admins edited them.
+//   node scripts/seedSynonyms.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Synonym = require('../models/Synonym');
+
+const DEFAULTS = [
+  { terms: ['amt', 'aircraft maintenance technician', 'aviation maintenance technician'] },
+  { direction: 'one-way', input: 'a&p', terms: ['airframe and powerplant', 'aircraft mechanic'] },
+  { terms: ['lame', 'licensed aircraft maintenance engineer'] },
+  { direction: 'one-way', input: 'b1 license', terms: ['b1 licence', 'mechanical license', 'lame'] },
+  { direction: 'one-way', input: 'b2 license', terms: ['b2 licence', 'avionics license', 'lame'] },
+  { terms: ['atc', 'air traffic control', 'air traffic controller'] },
+  { terms: ['avionics tech', 'avionics technician'] },
+  { terms: ['ramp agent', 'ramp service agent', 'ground handling agent'] },
+  { terms: ['mro', 'maintenance repair and overhaul'] },
+  { terms: ['caap', 'civil aviation authority of the philippines'] },
+  { terms: ['ojt', 'on the job training'] },
+];
+
+async function seedSynonyms() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  let created = 0;
+  for (const entry of DEFAULTS) {
+    const doc = new Synonym(entry);
+    await doc.validate(); // normalises input/terms
+    const key = doc.direction === 'one-way' ? { input: doc.input } : { terms: doc.terms[0] };
+    if (await Synonym.exists({ direction: doc.direction, ...key })) continue;
+    await doc.save();
+    created += 1;
+  }
+
+  console.log(`✅ ${created} synonym entries added (${DEFAULTS.length - created} already present)`);
+  await mongoose.disconnect();
+}
+
+// Run from the command line; required (test/synonyms.test.js) it only exports DEFAULTS
+if (require.main === module) {
+  seedSynonyms().catch(async (err) => {
+    console.error('❌ Seed error:', err);
+    try {
+      await mongoose.disconnect();
+    } catch {}
+    process.exit(1);
+  });
+}
+
+module.exports = { DEFAULTS };
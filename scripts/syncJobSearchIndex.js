@@ -0,0 +1,39 @@
+// scripts/syncJobSearchIndex.js
+// One-off: backfill Job.companyName and swap the old unweighted text index
+// for the weighted one declared in models/Job.js.
+//   node scripts/syncJobSearchIndex.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+
+async function syncJobSearchIndex() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) throw new Error('MONGODB_URI (or MONGO_URI) is not set in .env');
+  await mongoose.connect(uri);
+
+  const companies = await Company.find().select('name').lean();
+  let updated = 0;
+  for (const c of companies) {
+    const res = await Job.updateMany(
+      { company: c._id, companyName: { $ne: c.name } },
+      { $set: { companyName: c.name } }
+    );
+    updated += res.modifiedCount;
+  }
+  console.log(`✅ companyName backfilled on ${updated} job(s)`);
+
+  // Drops indexes not in the schema (the old text index) and builds the new ones
+  const dropped = await Job.syncIndexes();
+  console.log(`🔄 Job indexes synced${dropped.length ? `, dropped: ${dropped.join(', ')}` : ''}`);
+
+  await mongoose.disconnect();
+}
+
+syncJobSearchIndex().catch(async (err) => {
+  console.error('❌ Sync error:', err);
+  try {
+    await mongoose.disconnect();
+  } catch {}
+  process.exit(1);
+});
@@ -16,7 +16,26 @@ const fs = require('fs');
 const multer = require('multer');
 
 const profileRoutes = require('./routes/profile');
+const { optionalSession } = require('./middleware/auth');
+const { jobSearchValidation, locationValidation, validateJobSearch } = require('./middleware/jobSearchValidation');
 const { sendMail } = require('./utils/mailer');
+const {
+  buildJobFilter,
+  buildLocationFilter,
+  locationQuery,
+  resolveSort,
+  aggregateJobSearch,
+  pageHeaders,
+} = require('./utils/jobSearch');
+const { notifyNewJob } = require('./utils/jobAlerts');
+const { startScheduler } = require('./utils/scheduler');
+const { withFuzzyFallback, updateJobVocabulary, correctionHeaders } = require('./utils/fuzzySearch');
+const { loadSynonyms, expandQuery, matchPhrases } = require('./utils/synonyms');
+const { recordJobView } = require('./utils/jobViews');
+const { hideDrafts, isHiddenDraft, isPublishAttempt } = require('./utils/jobPublishing');
+const { hideUnmoderated, isHiddenSubmission, submissionFields, omitModerationFields } = require('./utils/jobModeration');
+const { logSearch, sessionKey } = require('./utils/searchAnalytics');
+const { withHighlights, parseHighlightOptions } = require('./utils/highlight');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -46,7 +65,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id'],
+  exposedHeaders: ['X-Next-Cursor', 'X-Prev-Cursor', 'X-Corrected-Query', 'X-Did-You-Mean'],
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -89,12 +109,20 @@ mongoose
         console.warn('[Seed] Skipped/failed:', e.message);
       }
     }
+    startBackgroundJobs();
   })
   .catch((err) => {
     console.error('[DB] Connection error:', err.message);
     process.exit(1);
   });
 
+/* ------------------------------ Background Jobs ----------------------------- */
+// Digests, autocomplete refresh, deadline expiry, retention: config/scheduledTasks.js
+function startBackgroundJobs() {
+  require('./config/scheduledTasks');
+  startScheduler().catch((e) => console.error('[Scheduler] failed to start:', e.message));
+}
+
 /* ---------------------------------- Models ---------------------------------- */
 const Job = require('./models/Job');
 const Company = require('./models/Company');
@@ -150,6 +178,21 @@ function requireAdmin(req, res, next) {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/profile', profileRoutes);
 
+/* ------------------------------ Mount feature routers ---------------------------- */
+app.use('/api', require('./routes/applications'));
+app.use('/api', require('./routes/savedJobs'));
+app.use('/api', require('./routes/savedSearches'));
+app.use('/api', require('./routes/search'));
+app.use('/api', require('./routes/searchAnalytics'));
+app.use('/api', require('./routes/synonyms'));
+app.use('/api', require('./routes/recommendations'));
+app.use('/api', require('./routes/similarJobs'));
+app.use('/api', require('./routes/candidates'));
+app.use('/api', require('./routes/jobViews'));
+app.use('/api', require('./routes/scheduler'));
+app.use('/api', require('./routes/jobPublishing'));
+app.use('/api', require('./routes/jobModeration'));
+
 app.get('/api/auth/me', requireAuth, asyncH(async (req, res) => {
   const user = await User.findById(req.userId).select('-password');
   if (!user) return res.status(404).json({ error: 'User not found' });
@@ -377,19 +420,66 @@ api.get(
 /* --------------------------------- JOBS ------------------------------------- */
 api.get(
   '/jobs',
+  optionalSession,
+  jobSearchValidation,
+  validateJobSearch,
   asyncH(async (req, res) => {
-    const q = {};
-    if (req.query.q) q.$text = { $search: req.query.q };
-    if (req.query.jobType) q.jobType = req.query.jobType;
-    if (req.query.location) q.location = new RegExp(`^${req.query.location}$`, 'i');
-    if (req.query.category) q.categories = req.query.category;
-    if (req.query.approvedOnly === 'true') q.isApproved = true;
-    if (req.query.status) q.status = req.query.status;
-
-    const jobs = await Job.find(q)
-      .populate('company', 'name logoUrl location website industry email phone')
-      .sort({ createdAt: -1 });
-    res.json(jobs);
+    // One cursor page of hits plus facet counts (?facets=false to skip) and,
+    // with ?withTotal=true, the total match count, in one aggregation
+    const { cursor, limit, withTotal, near } = req.query;
+    // The bare array stays unbounded unless ?limit= or ?cursor= asks for a page
+    const envelope = req.query.envelope === 'true';
+    const pageSize = envelope || limit || cursor ? limit : null;
+    // First pages of text searches are logged with their total for analytics
+    const logged = Boolean(req.query.q) && !cursor;
+    const synonyms = req.query.q ? await loadSynonyms() : null;
+    const search = async (text) => {
+      // Jargon/abbreviations only widen the match; cursors keep the typed text
+      const { query: expanded, phrases, expansion } = expandQuery(text, synonyms);
+      let match = buildJobFilter({ ...req.query, q: expanded });
+      if (req.query.approvedOnly === 'true') match.isApproved = true;
+      if (req.query.status) match.status = req.query.status;
+      hideDrafts(match, req.userRole);
+      hideUnmoderated(match, req.userRole);
+      match = await matchPhrases(match, phrases);
+
+      const page = await aggregateJobSearch({
+        match,
+        q: text,
+        sort: resolveSort({ ...req.query, q: text }),
+        near,
+        cursor,
+        limit: pageSize,
+        withFacets: envelope && req.query.facets !== 'false',
+        withTotal: withTotal === 'true' || logged,
+      });
+      return { ...page, expansion, expandedQuery: [expanded, ...phrases].join(' ') };
+    };
+
+    // No hits: suggests typo-corrected terms (didYouMean) and, unless
+    // ?autoCorrect=false, returns their results instead
+    const { jobs, expandedQuery, ...meta } = await withFuzzyFallback(req.query.q, search, {
+      cursor,
+      autoCorrect: req.query.autoCorrect !== 'false',
+    });
+    // searchId ties result clicks (POST /api/search/clicks) back to this search
+    const log = logged
+      ? await logSearch(req, {
+          term: req.query.q,
+          resultCount: meta.total,
+          correctedTerm: meta.correctedQuery,
+          filters: req.query,
+        }).catch((err) => console.error('logSearch:', err))
+      : null;
+    const hits = withHighlights(
+      jobs.map((j) => Job.withSavedFlag(j, req.userId)),
+      expandedQuery,
+      parseHighlightOptions(req.query)
+    );
+    // A bare array, as before (a page's cursors and any typo correction go in
+    // headers); ?envelope=true adds cursor, facets, didYouMean, searchId
+    if (!envelope) return res.set({ ...pageHeaders(meta), ...correctionHeaders(meta) }).json(hits);
+    res.json({ jobs: hits, ...meta, ...(log ? { searchId: log._id } : {}) });
   })
 );
 
@@ -403,52 +493,68 @@ api.get(
 
 api.get(
   '/jobs/:id',
+  optionalSession,
   asyncH(async (req, res) => {
     const job = await Job.findById(req.params.id)
       .populate('company', 'name logoUrl location website industry email phone');
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+    if (!job || isHiddenDraft(job, req.userRole) || isHiddenSubmission(job, req.userRole)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    recordJobView(req, job).catch((e) => console.error('[Views] record failed:', e.message));
+    res.json(Job.withSavedFlag(job, req.userId));
   })
 );
 
 api.post(
   '/jobs',
+  optionalSession,
   asyncH(async (req, res) => {
     if (req.body.company) {
       const exists = await Company.exists({ _id: req.body.company });
       if (!exists) return res.status(400).json({ error: 'Invalid company ID' });
     }
+    // Non-admin submissions wait in GET /api/admin/jobs/pending
     const job = await Job.create({
-      ...req.body,
+      ...omitModerationFields(req.body),
       status: req.body.status || 'active',
-      isApproved: true,
+      ...submissionFields(req),
     });
     await job.populate('company', 'name logoUrl location website industry email phone');
+    updateJobVocabulary(job);
+    notifyNewJob(job).catch((e) => console.error('[Alerts] notify failed:', e.message));
     res.status(201).json(job);
   })
 );
 
 api.put(
   '/jobs/:id',
+  requireAdmin,
   asyncH(async (req, res) => {
     if (req.body.company) {
       const exists = await Company.exists({ _id: req.body.company });
       if (!exists) return res.status(400).json({ error: 'Invalid company ID' });
     }
-    const job = await Job.findByIdAndUpdate(req.params.id, req.body, {
+    const current = await Job.findById(req.params.id).select('status').lean();
+    if (isPublishAttempt(current, req.body)) {
+      return res.status(409).json({ error: 'Publish drafts with POST /api/admin/jobs/:id/publish' });
+    }
+    const job = await Job.findByIdAndUpdate(req.params.id, omitModerationFields(req.body), {
       new: true,
       runValidators: true,
     }).populate('company', 'name logoUrl location website industry email phone');
     if (!job) return res.status(404).json({ error: 'Job not found' });
+    updateJobVocabulary(job);
     res.json(job);
   })
 );
 
 api.delete(
   '/jobs/:id',
+  requireAdmin,
   asyncH(async (req, res) => {
     const deleted = await Job.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ error: 'Job not found' });
+    updateJobVocabulary(deleted, { removed: true });
     res.json({ deleted: true });
   })
 );
@@ -471,8 +577,13 @@ const pickCompanyFields = (src = {}) => {
 
 api.get(
   '/companies',
-  asyncH(async (_req, res) => {
-    const companies = await Company.find().sort({ createdAt: -1 });
+  locationValidation,
+  validateJobSearch,
+  asyncH(async (req, res) => {
+    // ?region= / ?province= / ?city= (PSGC code or name), ?location= free text
+    const query = buildLocationFilter(req.query);
+    if (req.query.location) Object.assign(query, locationQuery(req.query.location));
+    const companies = await Company.find(query).sort({ createdAt: -1 });
     res.json({ companies });
   })
 );
@@ -684,9 +795,16 @@ api.post(
       role = String(req.body.role).toLowerCase();
     }
 
-    const term = raw.toLowerCase();
+    // Client-reported searches may carry their own result count
+    const count = Number(req.body?.resultCount);
     try {
-      await SearchLog.create({ term, user: userId, role });
+      await SearchLog.record({
+        term: raw,
+        user: userId,
+        role,
+        sessionId: sessionKey(req),
+        resultCount: Number.isInteger(count) && count >= 0 ? count : undefined,
+      });
     } catch (_) {}
     res.json({ ok: true });
   })
@@ -0,0 +1,70 @@
+// test/cron.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('../utils/cron');
+
+const UTC = 0;
+const at = (iso) => new Date(`${iso}Z`);
+const next = (expr, after) => nextRun(expr, at(after), UTC).toISOString().slice(0, 16);
+
+test('parseCron expands lists, ranges and steps', () => {
+  const c = parseCron('*/15 9-17/2 1,15 * 1-5');
+  assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hour], [9, 11, 13, 15, 17]);
+  assert.deepEqual([...c.dayOfMonth], [1, 15]);
+  assert.equal(c.month.size, 12);
+  assert.deepEqual([...c.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(c.anyDayOfMonth, false);
+  assert.equal(c.anyDayOfWeek, false);
+});
+
+test('parseCron treats 7 as Sunday and "5/20" as 5 to the end', () => {
+  assert.deepEqual([...parseCron('* * * * 7').dayOfWeek], [0]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  for (const expr of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => parseCron(expr), Error, expr);
+  }
+});
+
+test('nextRun is strictly after the given time', () => {
+  assert.equal(next('*/15 * * * *', '2026-10-19T10:07'), '2026-10-19T10:15');
+  assert.equal(next('*/15 * * * *', '2026-10-19T10:15'), '2026-10-19T10:30');
+  assert.equal(next('*/15 * * * *', '2026-10-19T10:15:30'), '2026-10-19T10:30');
+  assert.equal(next('* * * * *', '2026-10-19T23:59'), '2026-10-20T00:00');
+});
+
+test('nextRun follows ranges with steps', () => {
+  assert.equal(next('0 9-17/2 * * *', '2026-10-19T09:00'), '2026-10-19T11:00');
+  assert.equal(next('0 9-17/2 * * *', '2026-10-19T17:00'), '2026-10-20T09:00');
+  assert.equal(next('30 3 * * *', '2026-12-31T04:00'), '2027-01-01T03:30');
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // 13th of the month or any Friday; 2026-10-19 is a Monday
+  assert.equal(next('0 0 13 * 5', '2026-10-19T00:00'), '2026-10-23T00:00');
+  assert.equal(next('0 0 13 * 5', '2026-11-07T00:00'), '2026-11-13T00:00');
+  assert.equal(next('0 0 13 * 5', '2026-11-13T00:00'), '2026-11-20T00:00');
+  // Only one restricted: that one alone decides
+  assert.equal(next('0 0 * * 5', '2026-10-19T00:00'), '2026-10-23T00:00');
+  assert.equal(next('0 0 13 * *', '2026-10-19T00:00'), '2026-11-13T00:00');
+});
+
+test('nextRun skips months without the day', () => {
+  assert.equal(next('0 0 31 * *', '2026-01-31T00:00'), '2026-03-31T00:00');
+  assert.equal(next('0 0 29 2 *', '2026-01-01T00:00'), '2028-02-29T00:00');
+});
+
+test('nextRun throws for dates that never occur', () => {
+  assert.throws(() => nextRun('0 0 30 2 *', at('2026-01-01T00:00'), UTC), /never matches/);
+  assert.throws(() => nextRun('0 0 31 4,6,9,11 *', at('2026-01-01T00:00'), UTC), /never matches/);
+});
+
+test('nextRun defaults to Manila time (UTC+8)', () => {
+  // 08:00 in Manila
+  assert.equal(nextRun('0 9 * * *', at('2026-10-19T00:00')).toISOString(), '2026-10-19T01:00:00.000Z');
+  // 23:30 UTC on the 18th is Monday the 19th in Manila
+  assert.equal(nextRun('0 8 * * 1', at('2026-10-18T23:30')).toISOString(), '2026-10-19T00:00:00.000Z');
+});
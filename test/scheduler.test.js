@@ -0,0 +1,150 @@
+// test/scheduler.test.js
+// Lock claim/release through runTask, with ScheduledTask kept in memory.
+// Each "instance" is a fresh copy of utils/scheduler.js (own INSTANCE_ID).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduledTask = require('../models/ScheduledTask');
+
+/* --------------------------- In-memory model --------------------------- */
+const rows = new Map();
+
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((f) => matches(row, f));
+    const value = row[key];
+    if (cond === null) return value == null;
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('$lte' in cond) return value != null && value <= cond.$lte;
+      if ('$ne' in cond) return value !== cond.$ne;
+    }
+    return String(value) === String(cond);
+  });
+}
+
+function apply(row, { $set = {}, $unset = {}, $inc = {} }) {
+  Object.assign(row, $set);
+  for (const key of Object.keys($unset)) delete row[key];
+  for (const [key, n] of Object.entries($inc)) row[key] = (row[key] || 0) + n;
+}
+
+const find = (filter) => [...rows.values()].find((row) => matches(row, filter)) || null;
+const query = (result) => ({ select: () => query(result), lean: async () => result && { ...result } });
+
+ScheduledTask.findOneAndUpdate = async (filter, update) => {
+  const row = find(filter);
+  if (row) apply(row, update);
+  return row && { ...row };
+};
+ScheduledTask.updateOne = async (filter, update) => {
+  const row = find(filter);
+  if (row) apply(row, update);
+  return { matchedCount: row ? 1 : 0 };
+};
+ScheduledTask.findOne = (filter) => query(find(filter));
+
+/* ------------------------------ Helpers ------------------------------ */
+function instance() {
+  delete require.cache[require.resolve('../utils/scheduler')];
+  return require('../utils/scheduler');
+}
+
+// A task whose runs wait until `finish()` is called
+function defineBlockingTask(scheduler, name) {
+  const task = { runs: 0 };
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  scheduler.defineTask({
+    name,
+    schedule: '0 * * * *',
+    timeoutMs: 60 * 1000,
+    run: async () => {
+      task.runs += 1;
+      await gate;
+      return { done: true };
+    },
+  });
+  task.finish = release;
+  return task;
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test.beforeEach(() => {
+  rows.clear();
+  rows.set('digest', { name: 'digest', schedule: '0 * * * *', runCount: 0, failCount: 0 });
+});
+
+/* ------------------------------- Tests ------------------------------- */
+test('a second instance cannot claim a task while the lock is held', async () => {
+  const a = instance();
+  const b = instance();
+  const taskA = defineBlockingTask(a, 'digest');
+  const taskB = defineBlockingTask(b, 'digest');
+  const now = new Date();
+
+  const runA = a.runTask('digest', now);
+  await flush();
+  assert.ok(rows.get('digest').lockedUntil > now);
+
+  taskB.finish(); // so a wrongly granted run still settles
+  assert.equal(await b.runTask('digest', now), null);
+  assert.equal(taskB.runs, 0);
+
+  taskA.finish();
+  const row = await runA;
+  assert.equal(taskA.runs, 1);
+  assert.equal(row.lastStatus, 'success');
+  assert.deepEqual(row.lastResult, { done: true });
+  assert.equal(row.lockedBy, undefined);
+  assert.equal(row.lockedUntil, undefined);
+});
+
+test('the lock is free again once the run is released', async () => {
+  const a = instance();
+  const b = instance();
+  const taskA = defineBlockingTask(a, 'digest');
+  const taskB = defineBlockingTask(b, 'digest');
+
+  taskA.finish();
+  await a.runTask('digest');
+  taskB.finish();
+  const row = await b.runTask('digest');
+  assert.equal(taskB.runs, 1);
+  assert.equal(row.runCount, 2);
+});
+
+test('a lapsed lock can be claimed by another instance', async () => {
+  const b = instance();
+  const taskB = defineBlockingTask(b, 'digest');
+  const now = new Date();
+  Object.assign(rows.get('digest'), { lockedBy: 'crashed:1:abc', lockedUntil: new Date(now - 1000) });
+
+  taskB.finish();
+  const row = await b.runTask('digest', now);
+  assert.equal(taskB.runs, 1);
+  assert.equal(row.lastStatus, 'success');
+});
+
+test('a failed run is recorded and still releases the lock', async () => {
+  const a = instance();
+  a.defineTask({
+    name: 'digest',
+    schedule: '0 * * * *',
+    run: async () => {
+      throw new Error('mail server down');
+    },
+  });
+  const { error } = console;
+  console.error = () => {};
+  try {
+    const row = await a.runTask('digest');
+    assert.equal(row.lastStatus, 'failed');
+    assert.equal(row.lastError, 'mail server down');
+    assert.equal(row.failCount, 1);
+    assert.equal(row.lockedUntil, undefined);
+  } finally {
+    console.error = error;
+  }
+});
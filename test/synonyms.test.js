@@ -0,0 +1,47 @@
+// test/synonyms.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Synonym = require('../models/Synonym');
+const { buildDictionary, expandQuery } = require('../utils/synonyms');
+const { DEFAULTS } = require('../scripts/seedSynonyms');
+
+// The seeded dictionary, normalised the way the seed script saves it
+const seeded = async () => {
+  const docs = DEFAULTS.map((entry) => new Synonym(entry));
+  await Promise.all(docs.map((doc) => doc.validate()));
+  return buildDictionary(docs.map((doc) => doc.toObject()));
+};
+
+const expanded = (q, dict) => {
+  const { query, phrases } = expandQuery(q, dict);
+  return [...query.split(' ').slice(q.split(' ').length), ...phrases];
+};
+
+test('abbreviations expand to their phrases', async () => {
+  const dict = await seeded();
+  assert.deepEqual(expanded('AMT', dict), ['aircraft maintenance technician', 'aviation maintenance technician']);
+  assert.deepEqual(expanded('atc', dict), ['air traffic control', 'air traffic controller']);
+  assert.deepEqual(expanded('a&p', dict), ['airframe and powerplant', 'aircraft mechanic']);
+});
+
+test('phrases expand to their abbreviations', async () => {
+  const dict = await seeded();
+  assert.deepEqual(expanded('aircraft maintenance technician', dict), ['amt', 'aviation maintenance technician']);
+  assert.deepEqual(expanded('air traffic controller', dict), ['atc', 'air traffic control']);
+});
+
+test('phrase terms expand to the other phrases', async () => {
+  const dict = await seeded();
+  assert.deepEqual(expanded('avionics tech', dict), ['avionics technician']);
+  assert.deepEqual(expanded('ramp agent jobs', dict), ['ramp service agent', 'ground handling agent']);
+});
+
+test('one-word synonyms widen $text, others come back as phrases', async () => {
+  const dict = await seeded();
+  assert.deepEqual(expandQuery('b1 license', dict), {
+    query: 'b1 license lame',
+    phrases: ['b1 licence', 'mechanical license'],
+    expansion: [{ term: 'b1 license', synonyms: ['b1 licence', 'mechanical license', 'lame'] }],
+  });
+  assert.deepEqual(expandQuery('pilot', dict), { query: 'pilot', phrases: [], expansion: [] });
+});
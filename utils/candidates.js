@@ -0,0 +1,170 @@
+// utils/candidates.js
+// The reverse of utils/recommendations.js: students and alumni ranked for
+// one job by skill coverage, course-to-category affinity and whether their
+// year level / graduation year suits the job type.
+const Application = require('../models/Application');
+const JobInvitation = require('../models/JobInvitation');
+const User = require('../models/User');
+const { courseAffinity } = require('./recommendations');
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const WEIGHTS = { skills: 0.5, course: 0.3, stage: 0.2 };
+const YEAR_LEVELS = ['1st Year', '2nd Year', '3rd Year', '4th Year', 'Graduate'];
+const RECENT_GRADUATE_YEARS = 3;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_INVITES = 50;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const CANDIDATE_FIELDS = 'firstName lastName email userType course yearLevel graduationYear skills currentEmployer';
+
+// OJT and internships suit upper-year students; paid roles suit graduates
+const STUDENT_STAGE_FIT = { '4th Year': 1, '3rd Year': 0.8, '2nd Year': 0.4, '1st Year': 0.2, Graduate: 0.3 };
+const GRADUATE_STAGE_FIT = { Graduate: 1, '4th Year': 0.6, '3rd Year': 0.2, '2nd Year': 0.1, '1st Year': 0.1 };
+const TRAINING_JOB_TYPES = ['ojt', 'internship'];
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+
+/* ------------------------------ Scoring ------------------------------ */
+function stageFit(job, user, now) {
+  const graduate = user.userType === 'alumni' || user.yearLevel === 'Graduate';
+  if (TRAINING_JOB_TYPES.includes(job.jobType)) {
+    return graduate ? 0.1 : STUDENT_STAGE_FIT[user.yearLevel] ?? 0.3;
+  }
+  if (!graduate) return GRADUATE_STAGE_FIT[user.yearLevel] ?? 0.1;
+  const yearsOut = user.graduationYear ? now.getFullYear() - user.graduationYear : null;
+  return yearsOut != null && yearsOut <= RECENT_GRADUATE_YEARS ? 1 : 0.7;
+}
+
+function scoreCandidate(job, user, affinity, now) {
+  const have = new Set((user.skills || []).map(normalize));
+  const required = (job.skillsRequired || []).filter((s) => normalize(s));
+  const matchingSkills = required.filter((s) => have.has(normalize(s)));
+  const missingSkills = required.filter((s) => !have.has(normalize(s)));
+
+  const skills = required.length ? matchingSkills.length / required.length : 0;
+  const course = Math.max(0, ...(job.categories || []).map((c) => affinity.get(normalize(c)) || 0));
+  const stage = stageFit(job, user, now);
+  const score = WEIGHTS.skills * skills + WEIGHTS.course * course + WEIGHTS.stage * stage;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    matchingSkills,
+    missingSkills,
+    fit: {
+      skills: Math.round(skills * 100) / 100,
+      course: Math.round(course * 100) / 100,
+      stage: Math.round(stage * 100) / 100,
+    },
+  };
+}
+
+/* ------------------------------ Ranking ------------------------------ */
+// A placement: an accepted offer, or (alumni) a current employer
+async function placedUserIds() {
+  return (await Application.find({ status: 'accepted' }).distinct('applicant')).map(String);
+}
+
+/**
+ * Active students/alumni ranked for `job`; people who already applied are
+ * left out (they are in the applications pipeline).
+ * @param {Object} opts
+ * @param {string[]} [opts.yearLevels] only these year levels
+ * @param {boolean} [opts.placed] true: only placed people, false: only unplaced
+ * @returns {Promise<Array>}
+ */
+async function rankCandidates(job, { yearLevels, placed, limit = DEFAULT_LIMIT, now = new Date() } = {}) {
+  const [applicants, placedIds, invitations] = await Promise.all([
+    Application.find({ job: job._id }).distinct('applicant'),
+    placed === undefined ? null : placedUserIds(),
+    JobInvitation.find({ job: job._id }).select('user createdAt').lean(),
+  ]);
+
+  const filter = { userType: { $in: ['student', 'alumni'] }, isActive: true, _id: { $nin: applicants } };
+  if (yearLevels?.length) filter.yearLevel = { $in: yearLevels };
+  if (placed === true) {
+    filter.$or = [{ _id: { $in: placedIds } }, { currentEmployer: { $nin: [null, ''] } }];
+  } else if (placed === false) {
+    filter._id.$nin = [...applicants, ...placedIds];
+    filter.currentEmployer = { $in: [null, ''] };
+  }
+
+  const users = await User.find(filter).select(CANDIDATE_FIELDS).lean();
+  const courses = [...new Set(users.map((u) => normalize(u.course)).filter(Boolean))];
+  const affinities = new Map(await Promise.all(courses.map(async (c) => [c, await courseAffinity(c)])));
+  const invitedAt = new Map(invitations.map((i) => [String(i.user), i.createdAt]));
+
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return users
+    .map((user) => ({
+      user,
+      ...scoreCandidate(job, user, affinities.get(normalize(user.course)) || new Map(), now),
+      invitedAt: invitedAt.get(String(user._id)) || null,
+    }))
+    .sort((a, b) => b.score - a.score || a.user.lastName.localeCompare(b.user.lastName))
+    .slice(0, size);
+}
+
+/* ----------------------------- Invitations ----------------------------- */
+function renderInvitation(job, user, message) {
+  const link = `${FRONTEND_URL}/jobs/${job._id}`;
+  const company = job.company?.name ? ` at ${job.company.name}` : '';
+  return {
+    subject: `You're invited to apply: ${job.title} - AeroJob`,
+    html: `
+      <p>Hi ${escapeHtml(user.firstName || 'there')},</p>
+      <p>Your OJT coordinator thinks you would be a great fit for
+        <a href="${link}"><b>${escapeHtml(job.title)}</b></a>${escapeHtml(company)} (${escapeHtml(job.location)}).</p>
+      ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+      <p><a href="${link}">View the job and apply</a></p>
+    `,
+    text:
+      `Hi ${user.firstName || 'there'},\n\nYou're invited to apply for ${job.title}${company} (${job.location}).\n` +
+      `${message ? `\n${message}\n` : ''}\nView the job and apply: ${link}`,
+  };
+}
+
+/**
+ * Invite users to apply for `job`. Each invitation is recorded before it is
+ * mailed, so people already invited are skipped rather than emailed twice
+ * (and two coordinators inviting at once cannot both send).
+ * @returns {Promise<{invited:string[], alreadyInvited:string[], failed:string[]}>}
+ */
+async function inviteCandidates(job, userIds, { invitedBy, message } = {}) {
+  const ids = [...new Set(userIds.map(String))].slice(0, MAX_INVITES);
+  const users = await User.find({ _id: { $in: ids }, userType: { $in: ['student', 'alumni'] }, isActive: true })
+    .select('firstName email')
+    .lean();
+
+  const result = { invited: [], alreadyInvited: [], failed: [] };
+  for (const user of users) {
+    try {
+      await JobInvitation.create({ job: job._id, user: user._id, invitedBy, message });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      result.alreadyInvited.push(String(user._id));
+      continue;
+    }
+
+    try {
+      await sendMail({ to: user.email, ...renderInvitation(job, user, message) });
+      result.invited.push(String(user._id));
+    } catch (err) {
+      // Release the claim so the invitation can be retried
+      console.error('[Invite] email failed:', user.email, err.message);
+      await JobInvitation.deleteOne({ job: job._id, user: user._id });
+      result.failed.push(String(user._id));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  YEAR_LEVELS,
+  MAX_LIMIT,
+  MAX_INVITES,
+  rankCandidates,
+  inviteCandidates,
+};
@@ -0,0 +1,95 @@
+// utils/cron.js
+// Minimal 5-field cron ("minute hour day-of-month month day-of-week") for
+// utils/scheduler.js. Supports *, lists, ranges and steps ("*/15",
+// "1-5", "0,30", "9-17/2"). Times are wall-clock in a fixed UTC offset
+// (Manila, UTC+8, has no DST).
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+const DEFAULT_UTC_OFFSET_MINUTES = 8 * 60;
+const MINUTE_MS = 60 * 1000;
+const MAX_STEPS = 5000; // plenty for any valid expression; guards "31 of February"
+
+/* ------------------------------ Parsing ------------------------------ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid cron ${name}: "${part}"`);
+    const [, , from, to, stepText] = m;
+    const start = from == null ? min : Number(from);
+    const end = from == null ? max : to != null ? Number(to) : stepText ? max : start;
+    const step = stepText ? Number(stepText) : 1;
+    if (start < min || end > max || start > end || step < 1) throw new Error(`Invalid cron ${name}: "${part}"`);
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expr e.g. "0 * * * *"
+ * @returns {{minute:Set, hour:Set, dayOfMonth:Set, month:Set, dayOfWeek:Set, anyDayOfMonth:boolean, anyDayOfWeek:boolean}}
+ * @throws {Error} for malformed expressions
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  if (parsed.dayOfWeek.delete(7)) parsed.dayOfWeek.add(0);
+  parsed.anyDayOfMonth = parts[2] === '*';
+  parsed.anyDayOfWeek = parts[4] === '*';
+  return parsed;
+}
+
+/* ----------------------------- Next run ----------------------------- */
+// Classic cron: when both day fields are restricted, either may match
+function dayMatches(c, d) {
+  const dom = c.dayOfMonth.has(d.getUTCDate());
+  const dow = c.dayOfWeek.has(d.getUTCDay());
+  if (c.anyDayOfMonth) return dow;
+  if (c.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * First run strictly after `after`.
+ * @returns {Date}
+ * @throws {Error} when the expression can never match
+ */
+function nextRun(expr, after = new Date(), utcOffsetMinutes = DEFAULT_UTC_OFFSET_MINUTES) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const offsetMs = utcOffsetMinutes * MINUTE_MS;
+  // Work on wall-clock time through the UTC getters
+  const d = new Date(Math.floor((after.getTime() + offsetMs) / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!c.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0);
+    } else if (!dayMatches(c, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0);
+    } else if (!c.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0);
+    } else if (!c.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1);
+    } else {
+      return new Date(d.getTime() - offsetMs);
+    }
+  }
+  throw new Error(`Cron expression never matches: "${expr}"`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+};
@@ -0,0 +1,233 @@
+// utils/fuzzySearch.js
+// "Did you mean" for job search ("aircaft mechanic", "avionic"). Plain
+// MongoDB has no fuzzy $text, so query words are corrected against a
+// vocabulary of words from listed jobs' titles, skills and categories, then
+// the search can be re-run with the corrected terms. Searches that found
+// results only weight those words: $text ORs words (and synonyms widen it),
+// so "aircaft mechanic" finds jobs without "aircaft" being a real word.
+const Job = require('../models/Job');
+const SearchLog = require('../models/SearchLog');
+const { tokenize, STOPWORDS } = require('./jobSearch');
+
+const MIN_FUZZY_LENGTH = 3;
+const MIN_PREFIX_LENGTH = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REBUILD_MS = 60 * 60 * 1000; // full rebuilds catch writes made outside routes/jobs.js
+const SEARCH_WINDOW_DAYS = 90;
+const MIN_SEARCHES = 3; // a searched word gains weight once several successful searches used it
+
+/* ------------------------------ Helpers ------------------------------ */
+// Damerau-Levenshtein (optimal string alignment); Infinity when > maxDistance
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+    }
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length] > maxDistance ? Infinity : prev[b.length];
+}
+
+// Short words tolerate one typo, longer ones two
+const maxEditsFor = (word) => (word.length <= 4 ? 1 : 2);
+
+/* ----------------------------- Vocabulary ----------------------------- */
+// counts: word -> listed jobs using it (the known words). searched: word ->
+// successful searches containing it, a tie-breaker among candidates.
+// jobWords remembers each job's words so edits can be applied incrementally.
+const vocabulary = {
+  counts: new Map(),
+  searched: new Map(),
+  jobWords: new Map(),
+  builtAt: 0,
+  building: null,
+  pending: null,
+};
+
+const isListed = (job) => job.status === 'active' && job.isApproved;
+const jobWordsOf = (job) =>
+  new Set(tokenize([job.title, ...(job.skillsRequired || []), ...(job.categories || [])].join(' ')));
+
+function bump(counts, word, by) {
+  const n = (counts.get(word) || 0) + by;
+  if (n > 0) counts.set(word, n);
+  else counts.delete(word);
+}
+
+function applyJob({ counts, jobWords }, job, removed) {
+  const id = String(job._id);
+  (jobWords.get(id) || []).forEach((w) => bump(counts, w, -1));
+  jobWords.delete(id);
+  if (removed || !isListed(job)) return;
+
+  const words = jobWordsOf(job);
+  jobWords.set(id, words);
+  words.forEach((w) => bump(counts, w, 1));
+}
+
+async function rebuildVocabulary(now = new Date()) {
+  vocabulary.pending = [];
+  try {
+    const [jobs, searches] = await Promise.all([
+      Job.aggregate([
+        { $match: { status: 'active', isApproved: true } },
+        { $project: { title: 1, skillsRequired: 1, categories: 1, status: 1, isApproved: 1 } },
+      ]),
+      // Searches that found results as typed
+      SearchLog.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: new Date(now - SEARCH_WINDOW_DAYS * DAY_MS) },
+            resultCount: { $gt: 0 },
+            correctedTerm: { $exists: false },
+          },
+        },
+        { $group: { _id: '$term', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const next = { counts: new Map(), searched: new Map(), jobWords: new Map() };
+    jobs.forEach((j) => applyJob(next, j, false));
+
+    const searched = new Map();
+    searches.forEach((s) => new Set(tokenize(s._id)).forEach((w) => bump(searched, w, s.count)));
+    for (const [word, n] of searched) if (n >= MIN_SEARCHES) next.searched.set(word, n);
+
+    // Writes that landed while the queries ran
+    vocabulary.pending.forEach(([job, removed]) => applyJob(next, job, removed));
+    Object.assign(vocabulary, next, { builtAt: now.getTime() });
+    return vocabulary.counts;
+  } finally {
+    vocabulary.pending = null;
+  }
+}
+
+// word -> weight. The first call builds it; a stale one is served while a
+// rebuild runs in the background.
+async function loadVocabulary() {
+  const stale = Date.now() - vocabulary.builtAt >= REBUILD_MS;
+  if (stale && !vocabulary.building) {
+    vocabulary.building = rebuildVocabulary().finally(() => {
+      vocabulary.building = null;
+    });
+    if (vocabulary.builtAt) {
+      vocabulary.building.catch((e) => console.error('[Fuzzy] vocabulary rebuild failed:', e.message));
+    }
+  }
+  return vocabulary.builtAt ? vocabulary.counts : vocabulary.building;
+}
+
+/**
+ * Keep the vocabulary in step with a created, updated or deleted job
+ * (pass the saved document). Unlisted jobs contribute no words.
+ */
+function updateJobVocabulary(job, { removed = false } = {}) {
+  if (!job) return;
+  vocabulary.pending?.push([job, removed]);
+  if (vocabulary.builtAt) applyJob(vocabulary, job, removed);
+}
+
+/* ----------------------------- Correction ----------------------------- */
+/**
+ * Map each unknown query word to its closest vocabulary word.
+ * @returns {Promise<{query:string, corrections:Array<{from:string,to:string,distance:number}>}>}
+ */
+async function correctQuery(q) {
+  const known = await loadVocabulary();
+  const searchCounts = vocabulary.searched;
+  const corrections = [];
+
+  const words = tokenize(q).map((word) => {
+    if (known.has(word) || STOPWORDS.has(word) || word.length < MIN_FUZZY_LENGTH) return word;
+
+    const maxEdits = maxEditsFor(word);
+    let best = null;
+    for (const [candidate, jobCount] of known) {
+      const freq = jobCount + (searchCounts.get(candidate) || 0);
+      let distance = editDistance(word, candidate, maxEdits);
+      // "avion" -> "avionics": an unfinished word ranks just behind real typos
+      if (distance === Infinity && word.length >= MIN_PREFIX_LENGTH && candidate.startsWith(word)) {
+        distance = maxEdits;
+      }
+      if (distance === Infinity) continue;
+      if (!best || distance < best.distance || (distance === best.distance && freq > best.freq)) {
+        best = { candidate, distance, freq };
+      }
+    }
+
+    if (!best) return word;
+    corrections.push({ from: word, to: best.candidate, distance: best.distance });
+    return best.candidate;
+  });
+
+  return { query: words.join(' '), corrections };
+}
+
+/**
+ * Run a search and, when a query term returns nothing, suggest the
+ * typo-corrected query as `didYouMean` and (unless autoCorrect is false)
+ * retry once with it. `runSearch(q)` resolves to an array of hits or to
+ * an object with a `jobs` array (extra keys, e.g. facets, are passed on).
+ * With a page cursor the search continues on the terms page one used, and
+ * an empty page is just the end of the results.
+ */
+async function withFuzzyFallback(q, runSearch, { cursor, autoCorrect = true } = {}) {
+  const run = async (text) => {
+    const result = await runSearch(text);
+    return Array.isArray(result) ? { jobs: result } : result;
+  };
+
+  if (cursor && q && cursor.text !== q) {
+    const { query, corrections } = await correctQuery(q);
+    if (corrections.length && cursor.text === query) {
+      return { ...(await run(query)), fuzzy: true, correctedQuery: query, corrections };
+    }
+  }
+  if (cursor) return { ...(await run(q)), fuzzy: false, corrections: [] };
+
+  const exact = { ...(await run(q)), fuzzy: false, corrections: [] };
+  if (exact.jobs.length || !q) return exact;
+
+  const { query, corrections } = await correctQuery(q);
+  if (!corrections.length) return exact;
+  if (!autoCorrect) return { ...exact, didYouMean: query, corrections };
+
+  return {
+    ...(await run(query)),
+    fuzzy: true,
+    correctedQuery: query,
+    didYouMean: query,
+    corrections,
+  };
+}
+
+// A bare array of hits has nowhere to put the correction, so it goes in
+// headers: X-Corrected-Query when the hits are for corrected terms,
+// X-Did-You-Mean for the suggestion (URI-encoded; headers are ASCII)
+function correctionHeaders({ correctedQuery, didYouMean } = {}) {
+  return {
+    ...(correctedQuery ? { 'X-Corrected-Query': encodeURIComponent(correctedQuery) } : {}),
+    ...(didYouMean ? { 'X-Did-You-Mean': encodeURIComponent(didYouMean) } : {}),
+  };
+}
+
+module.exports = {
+  editDistance,
+  loadVocabulary,
+  rebuildVocabulary,
+  updateJobVocabulary,
+  correctQuery,
+  withFuzzyFallback,
+  correctionHeaders,
+};
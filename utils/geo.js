@@ -0,0 +1,139 @@
+// utils/geo.js
+// Offline geocoding for Philippine place names against the bundled gazetteer
+// (data/phPlaces.json), plus the Haversine distance used by job search.
+const PLACES = require('../data/phPlaces.json');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+/* ------------------------------ Gazetteer ------------------------------ */
+// "City of San Fernando (Pampanga)" -> "san fernando pampanga"
+function normalizePlaceName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^city of /, '')
+    .replace(/ city$/, '');
+}
+
+// normalized name/alias -> places sharing it (e.g. two San Carlos). A town
+// named like a province ("Bulacan, Bulacan", "Quezon, Bukidnon") is only
+// matched together with its own province; alone the name means the province.
+const PROVINCE_NAMES = new Set(PLACES.map((p) => normalizePlaceName(p.province)));
+const keysOf = (place) =>
+  [place.name, ...(place.aliases || [])].map((name) => {
+    const key = normalizePlaceName(name);
+    return PROVINCE_NAMES.has(key) && !/\bcity\b/i.test(name) ? `${key} ${normalizePlaceName(place.province)}` : key;
+  });
+
+const INDEX = new Map();
+for (const place of PLACES) {
+  for (const key of keysOf(place)) {
+    if (!INDEX.has(key)) INDEX.set(key, []);
+    INDEX.get(key).push(place);
+  }
+}
+// Longest first so "san jose del monte" wins over "san jose"
+const KEYS = [...INDEX.keys()].sort((a, b) => b.length - a.length);
+
+// Same-name places are told apart by a province mentioned in the text
+function pick(candidates, text) {
+  const padded = ` ${text} `;
+  return candidates.find((p) => padded.includes(` ${normalizePlaceName(p.province)} `)) || candidates[0];
+}
+
+/**
+ * Best gazetteer match for a free-text location ("Pasay City, Metro Manila",
+ * "Hangar 3, Clark Freeport Zone"). Comma-separated parts are tried as whole
+ * names first, then the earliest place name anywhere in the text.
+ * @returns {?{name:string, province:string, region:string, lat?:number, lng?:number}}
+ */
+function resolvePlace(text) {
+  const full = normalizePlaceName(text);
+  if (!full) return null;
+
+  const parts = String(text).split(/[,;/|()]/);
+  for (const [i, part] of parts.entries()) {
+    // The rest of the text first, for "Quezon, Bukidnon" style keys
+    const candidates = INDEX.get(normalizePlaceName(parts.slice(i).join(' '))) || INDEX.get(normalizePlaceName(part));
+    if (candidates) return pick(candidates, full);
+  }
+
+  let best = null;
+  for (const key of KEYS) {
+    const at = ` ${full} `.indexOf(` ${key} `);
+    if (at !== -1 && (!best || at < best.at)) best = { key, at };
+  }
+  return best ? pick(INDEX.get(best.key), full) : null;
+}
+
+/* ------------------------------- Points ------------------------------- */
+// GeoJSON point as stored on Job.geo / Company.geo ([lng, lat] order);
+// undefined for the few gazetteer places without coordinates
+const toPoint = ({ lat, lng }) => (Number.isFinite(lat) ? { type: 'Point', coordinates: [lng, lat] } : undefined);
+
+const hasPoint = (geo) => Array.isArray(geo?.coordinates) && geo.coordinates.length === 2;
+
+/**
+ * `near` search parameter: "14.5378,121.0014" or a place name.
+ * @returns {?{name?:string, coordinates:[number, number]}}
+ */
+function resolveNear(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return hasPoint(value) ? value : null;
+
+  const m = String(value).match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (m) {
+    const lat = Number(m[1]);
+    const lng = Number(m[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { coordinates: [lng, lat] };
+  }
+
+  const place = resolvePlace(value);
+  const point = place && toPoint(place);
+  return point ? { name: place.name, coordinates: point.coordinates } : null;
+}
+
+/* ------------------------------ Distance ------------------------------ */
+/**
+ * Aggregation expression for the Haversine distance (km) between `field`
+ * (a GeoJSON point) and the fixed [lng, lat] `origin`.
+ */
+function haversineExpr([lng, lat], field = '$geo.coordinates') {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const lat1 = toRad(lat);
+  const lng1 = toRad(lng);
+  const lat2 = { $degreesToRadians: { $arrayElemAt: [field, 1] } };
+  const lng2 = { $degreesToRadians: { $arrayElemAt: [field, 0] } };
+  const sinSqHalf = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] });
+
+  const a = {
+    $add: [
+      sinSqHalf({ $subtract: [lat2, lat1] }),
+      { $multiply: [Math.cos(lat1), { $cos: lat2 }, sinSqHalf({ $subtract: [lng2, lng1] })] },
+    ],
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: a } }] };
+}
+
+// $geoWithin filter for a radius search (needs no $geoNear, so it combines with $text)
+function withinRadius(near, radiusKm = DEFAULT_RADIUS_KM) {
+  return { $geoWithin: { $centerSphere: [near.coordinates, radiusKm / EARTH_RADIUS_KM] } };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  normalizePlaceName,
+  resolvePlace,
+  resolveNear,
+  toPoint,
+  hasPoint,
+  haversineExpr,
+  withinRadius,
+};
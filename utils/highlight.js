@@ -0,0 +1,134 @@
+// utils/highlight.js
+// Search-hit highlighting for job results. Matching is stem-aware so it
+// agrees with what $text matched; every fragment is HTML-escaped and only
+// the marker tags are emitted as markup.
+const { escapeHtml } = require('./html');
+const { tokenize, stem, STOPWORDS } = require('./jobSearch');
+
+const DEFAULT_TAG = 'mark';
+const DEFAULT_FRAGMENT_SIZE = 150;
+const MIN_FRAGMENT_SIZE = 20;
+const MAX_FRAGMENT_SIZE = 500;
+const MAX_FRAGMENTS = 3;
+
+const WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}+#&]*/gu;
+
+/* ------------------------------ Options ------------------------------ */
+// ?hlTag=em&hlFragmentSize=120 (tag names only, never raw markup)
+function parseHighlightOptions(query = {}) {
+  const tag = /^[a-z][a-z0-9-]{0,19}$/i.test(query.hlTag || '') ? query.hlTag.toLowerCase() : DEFAULT_TAG;
+  const size = Number(query.hlFragmentSize);
+  const fragmentSize = Number.isFinite(size)
+    ? Math.min(Math.max(Math.round(size), MIN_FRAGMENT_SIZE), MAX_FRAGMENT_SIZE)
+    : DEFAULT_FRAGMENT_SIZE;
+  return { tag, fragmentSize };
+}
+
+/* ------------------------------ Matching ------------------------------ */
+function queryStems(q) {
+  return new Set(tokenize(q).filter((t) => !STOPWORDS.has(t)).map(stem));
+}
+
+// [start, end) offsets of words in `text` whose stem is in `stems`
+function findMatches(text, stems) {
+  const matches = [];
+  for (const m of text.matchAll(WORD_RE)) {
+    const normalized = tokenize(m[0])[0];
+    if (normalized && stems.has(stem(normalized))) {
+      matches.push([m.index, m.index + m[0].length]);
+    }
+  }
+  return matches;
+}
+
+function markRange(text, from, to, matches, tag) {
+  let out = '';
+  let pos = from;
+  for (const [start, end] of matches) {
+    if (end <= from || start >= to) continue;
+    out += escapeHtml(text.slice(pos, start));
+    out += `<${tag}>${escapeHtml(text.slice(start, end))}</${tag}>`;
+    pos = end;
+  }
+  return out + escapeHtml(text.slice(pos, to));
+}
+
+// Snap a cut point to the nearest whitespace so words are not split
+function snap(text, i, dir) {
+  if (i <= 0) return 0;
+  if (i >= text.length) return text.length;
+  let j = i;
+  while (j > 0 && j < text.length && !/\s/.test(text[j])) j += dir;
+  return j;
+}
+
+/* ----------------------------- Fragments ----------------------------- */
+function fragmentsFor(text, stems, { tag, fragmentSize }) {
+  if (!text) return [];
+  const matches = findMatches(text, stems);
+  if (!matches.length) return [];
+
+  if (text.length <= fragmentSize) return [markRange(text, 0, text.length, matches, tag)];
+
+  // One window per match, centred on it. A window overlapping the previous
+  // one extends it, but only up to fragmentSize; a hit left out of the
+  // extended window starts the next one where it ends.
+  const windows = [];
+  for (const [start, end] of matches) {
+    const last = windows[windows.length - 1];
+    if (last && end <= last.to) continue;
+
+    const pad = Math.max(Math.floor((fragmentSize - (end - start)) / 2), 0);
+    let from = Math.max(snap(text, start - pad, -1), Math.min(start, end - fragmentSize));
+    let to = snap(text, end + pad, 1);
+    if (last && from < last.to) {
+      const limit = last.from + fragmentSize;
+      last.to = Math.max(last.hitEnd, to <= limit ? to : snap(text, limit, -1), last.to);
+      if (end <= last.to) continue;
+      from = last.to;
+    }
+    if (to - from > fragmentSize) to = Math.max(end, snap(text, from + fragmentSize, -1));
+    windows.push({ from, to, hitEnd: end });
+    if (windows.length > MAX_FRAGMENTS) break;
+  }
+
+  return windows.slice(0, MAX_FRAGMENTS).map(({ from, to }) => {
+    const body = markRange(text, from, to, matches, tag).trim();
+    return `${from > 0 ? '…' : ''}${body}${to < text.length ? '…' : ''}`;
+  });
+}
+
+/**
+ * Highlighted fragments per field for one job; fields without a match are
+ * omitted. skillsRequired returns the matching skills, fully marked.
+ */
+function highlightJob(job, q, options = {}) {
+  const stems = queryStems(q);
+  const opts = { ...parseHighlightOptions(), ...options };
+  const out = {};
+  if (!stems.size) return out;
+
+  for (const field of ['title', 'shortDescription', 'description']) {
+    const fragments = fragmentsFor(job[field], stems, opts);
+    if (fragments.length) out[field] = fragments;
+  }
+
+  const skills = (job.skillsRequired || [])
+    .map((s) => fragmentsFor(s, stems, { ...opts, fragmentSize: MAX_FRAGMENT_SIZE })[0])
+    .filter(Boolean);
+  if (skills.length) out.skillsRequired = skills;
+
+  return out;
+}
+
+// Attach `highlights` to each hit (plain objects)
+function withHighlights(jobs, q, options) {
+  if (!q) return jobs;
+  return jobs.map((j) => ({ ...j, highlights: highlightJob(j, q, options) }));
+}
+
+module.exports = {
+  parseHighlightOptions,
+  highlightJob,
+  withHighlights,
+};
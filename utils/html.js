@@ -0,0 +1,7 @@
+// utils/html.js
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape user-supplied text before embedding it in HTML (emails, snippets)
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+module.exports = { escapeHtml };
@@ -0,0 +1,138 @@
+// utils/jobAlerts.js
+// Saved-search alerts: instant emails when a job goes live, plus daily/weekly
+// digests. SavedSearch.lastNotifiedAt is the watermark; it is advanced with a
+// conditional update *before* mailing so two workers never send the same alert.
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const { sendMail } = require('./mailer');
+const { buildJobFilter } = require('./jobSearch');
+const { escapeHtml } = require('./html');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVAL_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const MAX_JOBS_PER_EMAIL = 20;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const API_URL = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const isListed = (job) => job && job.status === 'active' && job.isApproved && job.approvedAt;
+
+const listedQuery = (filters) => ({ ...buildJobFilter(filters), status: 'active', isApproved: true });
+
+/* ------------------------------- Email ------------------------------- */
+function renderAlert(search, jobs) {
+  const items = jobs
+    .map((j) => {
+      const company = j.company?.name ? ` — ${escapeHtml(j.company.name)}` : '';
+      return `<li><a href="${FRONTEND_URL}/jobs/${j._id}">${escapeHtml(j.title)}</a>${company} (${escapeHtml(j.location)})</li>`;
+    })
+    .join('');
+  const unsubscribe = `${API_URL}/api/saved-searches/unsubscribe/${search.unsubscribeToken}`;
+
+  return {
+    subject: `New jobs for "${search.name}" - AeroJob`,
+    html: `
+      <p>Hi ${escapeHtml(search.user?.firstName || 'there')},</p>
+      <p>${jobs.length} new job${jobs.length === 1 ? '' : 's'} matched your saved search <b>${escapeHtml(search.name)}</b>:</p>
+      <ul>${items}</ul>
+      <p style="font-size:12px;color:#666">
+        You receive these ${search.frequency} alerts because you saved this search on AeroJob.
+        <a href="${unsubscribe}">Unsubscribe</a>
+      </p>
+    `,
+    text:
+      `${jobs.length} new job(s) matched your saved search "${search.name}":\n` +
+      jobs.map((j) => `- ${j.title} (${j.location}) ${FRONTEND_URL}/jobs/${j._id}`).join('\n') +
+      `\n\nUnsubscribe: ${unsubscribe}`,
+  };
+}
+
+async function sendAlert(search, jobs) {
+  if (!search.user?.email || jobs.length === 0) return;
+  const { subject, html, text } = renderAlert(search, jobs);
+  await sendMail({ to: search.user.email, subject, html, text });
+}
+
+/* ------------------------------ Instant ------------------------------ */
+/**
+ * Alert "instant" saved searches that match a job which just went live
+ * (created as approved/active, or newly approved).
+ */
+async function notifyNewJob(job) {
+  if (!isListed(job)) return 0;
+  const at = job.approvedAt;
+
+  const searches = await SavedSearch.find({
+    isActive: true,
+    frequency: 'instant',
+    lastNotifiedAt: { $lt: at },
+  }).populate('user', 'firstName email');
+
+  let sent = 0;
+  for (const search of searches) {
+    try {
+      const matches = await Job.exists({ _id: job._id, ...listedQuery(search.filters) });
+      if (!matches) continue;
+
+      const claimed = await SavedSearch.findOneAndUpdate(
+        { _id: search._id, lastNotifiedAt: { $lt: at } },
+        { $set: { lastNotifiedAt: at } }
+      );
+      if (!claimed) continue;
+
+      await sendAlert(search, [job]);
+      sent += 1;
+    } catch (err) {
+      console.error('[Alerts] instant alert failed:', search._id.toString(), err.message);
+    }
+  }
+  return sent;
+}
+
+/* ------------------------------ Digests ------------------------------ */
+/**
+ * Send daily/weekly digests for every saved search whose interval elapsed.
+ * Safe to call often; searches that are not due are skipped.
+ */
+async function runAlertDigests(now = new Date()) {
+  let sent = 0;
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVAL_MS)) {
+    const due = await SavedSearch.find({
+      isActive: true,
+      frequency,
+      lastNotifiedAt: { $lte: new Date(now - interval) },
+    }).populate('user', 'firstName email');
+
+    for (const search of due) {
+      try {
+        const since = search.lastNotifiedAt;
+        const claimed = await SavedSearch.findOneAndUpdate(
+          { _id: search._id, lastNotifiedAt: since },
+          { $set: { lastNotifiedAt: now } }
+        );
+        if (!claimed) continue;
+
+        const jobs = await Job.find({
+          ...listedQuery(search.filters),
+          approvedAt: { $gt: since, $lte: now },
+        })
+          .sort({ approvedAt: -1 })
+          .limit(MAX_JOBS_PER_EMAIL)
+          .lean();
+        if (jobs.length === 0) continue;
+
+        await sendAlert(search, jobs);
+        sent += 1;
+      } catch (err) {
+        console.error('[Alerts] digest failed:', search._id.toString(), err.message);
+      }
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  notifyNewJob,
+  runAlertDigests,
+};
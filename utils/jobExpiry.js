@@ -0,0 +1,79 @@
+// utils/jobExpiry.js
+// Closes active jobs whose applicationDeadline has passed and emails the
+// company contact. Each job is claimed with a conditional update before
+// mailing, so overlapping sweeps never close or notify twice.
+const Job = require('../models/Job');
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+const { updateJobVocabulary } = require('./fuzzySearch');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const BATCH_SIZE = 200;
+
+const expiredQuery = (now) => ({ status: 'active', applicationDeadline: { $lt: now } });
+
+/* ------------------------------- Email ------------------------------- */
+function renderClosedNotice(job) {
+  const deadline = job.applicationDeadline.toLocaleDateString('en-PH', { dateStyle: 'long', timeZone: 'Asia/Manila' });
+  const applications = `${job.applications || 0} application${job.applications === 1 ? '' : 's'}`;
+  return {
+    subject: `Job closed: ${job.title} - AeroJob`,
+    html: `
+      <p>Hello${job.company?.name ? ` ${escapeHtml(job.company.name)}` : ''},</p>
+      <p>Your posting <a href="${FRONTEND_URL}/jobs/${job._id}"><b>${escapeHtml(job.title)}</b></a>
+        reached its application deadline (${escapeHtml(deadline)}) and has been closed with ${applications}.</p>
+      <p>To keep accepting applications, ask the AeroJob coordinators to extend the deadline and reopen it.</p>
+    `,
+    text:
+      `Your posting "${job.title}" reached its application deadline (${deadline}) and has been closed with ${applications}.\n` +
+      `To keep accepting applications, ask the AeroJob coordinators to extend the deadline and reopen it.\n` +
+      `${FRONTEND_URL}/jobs/${job._id}`,
+  };
+}
+
+async function notifyCompany(job) {
+  const to = job.contactEmail || job.company?.email;
+  if (!to) return false;
+  await sendMail({ to, ...renderClosedNotice(job) });
+  return true;
+}
+
+/* ------------------------------- Sweep ------------------------------- */
+/**
+ * Close every job past its deadline (closedReason 'deadline').
+ * @returns {Promise<{closed:number, notified:number}>}
+ */
+async function closeExpiredJobs(now = new Date()) {
+  let closed = 0;
+  let notified = 0;
+
+  for (;;) {
+    const due = await Job.find(expiredQuery(now))
+      .select('title applicationDeadline applications contactEmail company')
+      .limit(BATCH_SIZE)
+      .lean();
+    if (!due.length) break;
+
+    for (const job of due) {
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, ...expiredQuery(now) },
+        { $set: { status: 'closed', closedAt: now, closedReason: 'deadline' } }
+      );
+      if (!modifiedCount) continue;
+      closed += 1;
+      updateJobVocabulary({ ...job, status: 'closed' });
+
+      try {
+        if (await notifyCompany(job)) notified += 1;
+      } catch (err) {
+        console.error('[Expiry] notice failed:', job._id.toString(), err.message);
+      }
+    }
+    if (due.length < BATCH_SIZE) break;
+  }
+  return { closed, notified };
+}
+
+module.exports = {
+  closeExpiredJobs,
+};
@@ -0,0 +1,135 @@
+// utils/jobModeration.js
+// Moderation queue: jobs posted by non-admins are created pending (unlisted)
+// until an admin approves or rejects them. Each decision carries a reason,
+// is emailed to the submitter and is appended to job.moderationHistory.
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+const { notifyNewJob } = require('./jobAlerts');
+const { updateJobVocabulary } = require('./fuzzySearch');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Awaiting or refused review: listed for admins only
+const UNLISTED_STATUSES = ['pending', 'rejected'];
+
+// Set by submissionFields() / moderateJob(), never from a request body
+const PROTECTED_FIELDS = ['isApproved', 'approvedAt', 'moderationStatus', 'moderationHistory', 'createdBy'];
+
+/* ----------------------------- Visibility ----------------------------- */
+function hideUnmoderated(match, role) {
+  if (role === 'admin') return match;
+  match.$and = [...(match.$and || []), { moderationStatus: { $nin: UNLISTED_STATUSES } }];
+  return match;
+}
+
+const isHiddenSubmission = (job, role) => role !== 'admin' && UNLISTED_STATUSES.includes(job.moderationStatus);
+
+/* ----------------------------- Submission ----------------------------- */
+/**
+ * Moderation fields for a job created through `req` (optionalSession):
+ * admins' jobs are approved as posted, everyone else's join the queue.
+ */
+function submissionFields(req, now = new Date()) {
+  const createdBy = req.userId || undefined;
+  if (req.userRole === 'admin') return { createdBy, isApproved: true, moderationStatus: 'approved' };
+  return {
+    createdBy,
+    isApproved: false,
+    moderationStatus: 'pending',
+    moderationHistory: [{ action: 'submitted', by: createdBy, at: now }],
+  };
+}
+
+// Strip moderation fields from a create/update body so it cannot self-approve
+function omitModerationFields(body = {}) {
+  const out = { ...body };
+  PROTECTED_FIELDS.forEach((f) => delete out[f]);
+  return out;
+}
+
+/* ------------------------------- Email ------------------------------- */
+function renderDecision(job, decision, reason, name) {
+  const approved = decision === 'approved';
+  const link = `${FRONTEND_URL}/jobs/${job._id}`;
+  const outcome = approved
+    ? job.status === 'draft'
+      ? 'has been approved and will be listed once it is published'
+      : 'has been approved and is now listed'
+    : 'was not approved';
+  const note = reason ? `${approved ? 'Note from the reviewer' : 'Reason'}: ${reason}` : '';
+
+  return {
+    subject: `${approved ? 'Job approved' : 'Job not approved'}: ${job.title} - AeroJob`,
+    html: `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Your job posting <a href="${link}"><b>${escapeHtml(job.title)}</b></a> ${outcome}.</p>
+      ${note ? `<p>${escapeHtml(note)}</p>` : ''}
+      ${approved ? '' : '<p>You can update the posting and contact the AeroJob coordinators to have it reviewed again.</p>'}
+    `,
+    text:
+      `Your job posting "${job.title}" ${outcome}.\n` +
+      (note ? `${note}\n` : '') +
+      (approved ? link : 'You can update the posting and contact the AeroJob coordinators to have it reviewed again.'),
+  };
+}
+
+// The account that submitted the job, else the posting's contact address
+async function notifySubmitter(job, decision, reason) {
+  const submitter = job.createdBy ? await User.findById(job.createdBy).select('firstName email').lean() : null;
+  const to = submitter?.email || job.contactEmail;
+  if (!to) return false;
+  await sendMail({ to, ...renderDecision(job, decision, reason, submitter?.firstName) });
+  return true;
+}
+
+/* ------------------------------ Decisions ------------------------------ */
+/**
+ * Approve or reject a job: a pending one, or reversing an earlier decision.
+ * Approving lists it (drafts once published) and sends saved-search alerts.
+ * @param {string} jobId
+ * @param {Object} opts
+ * @param {'approve'|'reject'} opts.action
+ * @param {string} [opts.reason] emailed to the submitter
+ * @param {string} [opts.by] the moderating admin
+ * @returns {Promise<?Document>} the updated job; null when it is missing or
+ *   already in that state
+ */
+async function moderateJob(jobId, { action, reason, by, now = new Date() }) {
+  const decision = action === 'approve' ? 'approved' : 'rejected';
+  const approve = decision === 'approved';
+  const current = await Job.findById(jobId).select('status').lean();
+  if (!current) return null;
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, moderationStatus: { $ne: decision } },
+    {
+      $set: {
+        moderationStatus: decision,
+        isApproved: approve,
+        ...(by ? { lastUpdatedBy: by } : {}),
+        // Drafts are stamped when published instead
+        ...(approve && current.status !== 'draft' ? { approvedAt: now } : {}),
+      },
+      $push: { moderationHistory: { action: decision, by, reason, at: now } },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!job) return null;
+
+  updateJobVocabulary(job);
+  if (approve) notifyNewJob(job).catch((e) => console.error('[Alerts] notify failed:', e.message));
+  notifySubmitter(job, decision, reason).catch((e) =>
+    console.error('[Moderation] decision email failed:', job._id.toString(), e.message)
+  );
+  return job;
+}
+
+module.exports = {
+  hideUnmoderated,
+  isHiddenSubmission,
+  submissionFields,
+  omitModerationFields,
+  moderateJob,
+};
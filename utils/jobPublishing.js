@@ -0,0 +1,102 @@
+// utils/jobPublishing.js
+// Draft workflow: admins prepare jobs as status 'draft' (hidden from everyone
+// else), then publish them now or at publishAt. Publishing is its own
+// transition: it stamps publishedAt/approvedAt and sends the same alerts as a
+// newly approved job. Active jobs with unpublishAt are set inactive on time.
+const Job = require('../models/Job');
+const { notifyNewJob } = require('./jobAlerts');
+const { updateJobVocabulary } = require('./fuzzySearch');
+
+const BATCH_SIZE = 200;
+
+/* ----------------------------- Visibility ----------------------------- */
+// Drafts are listed for admins only, whatever ?status= asks for
+function hideDrafts(match, role) {
+  if (role === 'admin') return match;
+  match.$and = [...(match.$and || []), { status: { $ne: 'draft' } }];
+  return match;
+}
+
+const isHiddenDraft = (job, role) => job.status === 'draft' && role !== 'admin';
+
+// Generic job updates may not take a draft live; that is publishJob()'s job
+const isPublishAttempt = (current, update = {}) =>
+  current?.status === 'draft' && update.status != null && update.status !== 'draft';
+
+/* ----------------------------- Transitions ----------------------------- */
+/**
+ * Take a draft live. The conditional update makes it a one-time transition,
+ * so a manual publish racing the schedule only notifies once.
+ * @returns {Promise<?Document>} the published job; null if it is not a draft
+ */
+async function publishJob(jobId, { by, now = new Date() } = {}) {
+  const current = await Job.findOne({ _id: jobId, status: 'draft' }).select('isApproved').lean();
+  if (!current) return null;
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'draft' },
+    {
+      $set: {
+        status: 'active',
+        publishedAt: now,
+        ...(current.isApproved ? { approvedAt: now } : {}),
+        ...(by ? { lastUpdatedBy: by } : {}),
+      },
+      $unset: { publishAt: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!job) return null;
+
+  updateJobVocabulary(job);
+  notifyNewJob(job).catch((e) => console.error('[Alerts] notify failed:', e.message));
+  return job;
+}
+
+/**
+ * Publish drafts whose publishAt has come and unpublish active jobs whose
+ * unpublishAt has (scheduled every minute in config/scheduledTasks.js).
+ * @returns {Promise<{published:number, unpublished:number}>}
+ */
+async function runPublishingSchedule(now = new Date()) {
+  let published = 0;
+  let unpublished = 0;
+
+  const due = await Job.find({ status: 'draft', publishAt: { $lte: now } })
+    .sort({ publishAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id')
+    .lean();
+  for (const { _id } of due) {
+    try {
+      if (await publishJob(_id, { now })) published += 1;
+    } catch (err) {
+      console.error('[Publishing] publish failed:', _id.toString(), err.message);
+    }
+  }
+
+  const expiring = await Job.find({ status: 'active', unpublishAt: { $lte: now } })
+    .limit(BATCH_SIZE)
+    .select('_id')
+    .lean();
+  for (const { _id } of expiring) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'active', unpublishAt: { $lte: now } },
+      { $set: { status: 'inactive' }, $unset: { unpublishAt: 1 } },
+      { new: true }
+    );
+    if (!job) continue;
+    updateJobVocabulary(job);
+    unpublished += 1;
+  }
+
+  return { published, unpublished };
+}
+
+module.exports = {
+  hideDrafts,
+  isHiddenDraft,
+  isPublishAttempt,
+  publishJob,
+  runPublishingSchedule,
+};
@@ -0,0 +1,413 @@
+// utils/jobSearch.js
+// Shared job-search filters so GET /api/jobs and the saved-search matcher
+// agree on what "matches" means, plus the aggregation that returns a page of
+// hits together with facet counts.
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { resolveNear, haversineExpr, withinRadius } = require('./geo');
+const { normalizeLocation, regionCodes, provinceCodes, cityCodes } = require('./psgc');
+const { STOPWORDS, tokenize, stem } = require('./text');
+
+const SEARCH_FILTER_KEYS = ['q', 'jobType', 'location', 'category'];
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keep only the supported, non-empty filters (trimmed strings)
+function pickSearchFilters(src = {}) {
+  const out = {};
+  SEARCH_FILTER_KEYS.forEach((k) => {
+    const v = src[k];
+    if (typeof v === 'string' && v.trim()) out[k] = v.trim();
+  });
+  return out;
+}
+
+// Mongo filter for { q, jobType, location, category } plus the advanced
+// filters below. `q` goes through the weighted text index on Job (see
+// TEXT_WEIGHTS in models/Job.js).
+function buildJobFilter(filters = {}) {
+  const query = {};
+  if (filters.q) query.$text = { $search: filters.q };
+  if (filters.jobType) query.jobType = String(filters.jobType).toLowerCase();
+  if (filters.location) Object.assign(query, locationQuery(filters.location));
+  if (filters.category) query.categories = filters.category;
+  return { ...query, ...buildAdvancedJobFilter(filters) };
+}
+
+/* ------------------------------ Location ------------------------------ */
+// Free-text ?location= matches the deepest PSGC level it names, so "Pasay"
+// and "Pasay City" agree; unknown places fall back to a substring match.
+function locationQuery(text) {
+  const { region, province, city } = normalizeLocation(text);
+  if (city) return { 'city.code': city.code };
+  if (province) return { 'province.code': province.code };
+  if (region) return { 'region.code': region.code };
+  return { location: { $regex: escapeRegex(text), $options: 'i' } };
+}
+
+// ?region= / ?province= / ?city= (PSGC code or name); shared with company search
+function buildLocationFilter(filters = {}) {
+  const query = {};
+  if (filters.region) query['region.code'] = { $in: regionCodes(filters.region) };
+  if (filters.province) query['province.code'] = { $in: provinceCodes(filters.province) };
+  if (filters.city) query['city.code'] = { $in: cityCodes(filters.city) };
+  return query;
+}
+
+/* -------------------------- Advanced filters -------------------------- */
+const HOUR_MS = 60 * 60 * 1000;
+const POSTED_WITHIN = { '24h': 24 * HOUR_MS, '7d': 7 * 24 * HOUR_MS, '30d': 30 * 24 * HOUR_MS };
+
+// stipend.amount x factor = monthly amount (8h days, 22 working days a month).
+// One-time stipends are compared as-is; no period means monthly.
+const MONTHLY_STIPEND_FACTORS = {
+  hourly: 8 * 22,
+  daily: 22,
+  weekly: 52 / 12,
+  monthly: 1,
+  'one-time': 1,
+};
+
+const MONTHLY_STIPEND_EXPR = {
+  $multiply: [
+    '$stipend.amount',
+    {
+      $switch: {
+        branches: Object.entries(MONTHLY_STIPEND_FACTORS).map(([period, factor]) => ({
+          case: { $eq: ['$stipend.period', period] },
+          then: factor,
+        })),
+        default: 1,
+      },
+    },
+  ],
+};
+
+const asBool = (v) => v === true || v === 'true';
+const exactAnyCase = (v) => new RegExp(`^${escapeRegex(v)}$`, 'i');
+const asList = (v) => (Array.isArray(v) ? v : v ? String(v).split(',') : []).map((s) => String(s).trim()).filter(Boolean);
+
+/**
+ * TODO.md Phase 1 filters: minStipend/maxStipend (monthly-normalised),
+ * postedWithin, isRemote/isHybrid, benefits (all listed) and skills with
+ * skillsMode=all|any; Phase 3 near (place or "lat,lng") within radiusKm and
+ * region/province/city.
+ * Expects input checked by middleware/jobSearchValidation.
+ */
+function buildAdvancedJobFilter(filters = {}, now = new Date()) {
+  const query = buildLocationFilter(filters);
+
+  const min = filters.minStipend != null && filters.minStipend !== '' ? Number(filters.minStipend) : null;
+  const max = filters.maxStipend != null && filters.maxStipend !== '' ? Number(filters.maxStipend) : null;
+  if (min != null || max != null) {
+    const bounds = [];
+    if (min != null) bounds.push({ $gte: [MONTHLY_STIPEND_EXPR, min] });
+    if (max != null) bounds.push({ $lte: [MONTHLY_STIPEND_EXPR, max] });
+    query['stipend.amount'] = { $type: 'number' };
+    query.$expr = { $and: bounds };
+  }
+
+  if (POSTED_WITHIN[filters.postedWithin]) {
+    query.createdAt = { $gte: new Date(now - POSTED_WITHIN[filters.postedWithin]) };
+  }
+
+  if (filters.isRemote != null && filters.isRemote !== '') query.isRemote = asBool(filters.isRemote);
+  if (filters.isHybrid != null && filters.isHybrid !== '') query.isHybrid = asBool(filters.isHybrid);
+
+  const benefits = asList(filters.benefits);
+  if (benefits.length) query.benefits = { $all: benefits.map(exactAnyCase) };
+
+  const skills = asList(filters.skills);
+  if (skills.length) {
+    query.skillsRequired = filters.skillsMode === 'any'
+      ? { $in: skills.map(exactAnyCase) }
+      : { $all: skills.map(exactAnyCase) };
+  }
+
+  const near = resolveNear(filters.near);
+  if (near) query.geo = withinRadius(near, Number(filters.radiusKm) || undefined);
+
+  // Open for applications right now, even before the expiry sweep closes it
+  if (asBool(filters.acceptingOnly)) {
+    query.status = 'active';
+    query.applicationDeadline = { $not: { $lt: now } };
+  }
+
+  return query;
+}
+
+/* ------------------------------ Sorting ------------------------------ */
+const TEXT_SCORE = { $meta: 'textScore' };
+const MAX_DATE = new Date(8640000000000000);
+
+// [field, direction, type] per sort option. Every spec ends in _id so equal
+// keys never shuffle between pages.
+const SORT_SPECS = {
+  relevance: [['score', -1, 'number'], ['createdAt', -1, 'date'], ['_id', -1, 'id']],
+  newest: [['createdAt', -1, 'date'], ['_id', -1, 'id']],
+  stipend: [['sortStipend', -1, 'number'], ['createdAt', -1, 'date'], ['_id', -1, 'id']],
+  deadline: [['sortDeadline', 1, 'date'], ['_id', 1, 'id']],
+  distance: [['distanceKm', 1, 'number'], ['_id', 1, 'id']],
+};
+const SORTS = Object.keys(SORT_SPECS);
+
+// Computed sort keys: unpaid/unknown stipends last, no deadline last
+const SORT_FIELDS = {
+  sortStipend: { $cond: [{ $isNumber: '$stipend.amount' }, MONTHLY_STIPEND_EXPR, -1] },
+  sortDeadline: { $ifNull: ['$applicationDeadline', MAX_DATE] },
+};
+
+// Relevance is the default whenever there is a query term; distance needs `near`
+function resolveSort({ q, sort, near } = {}) {
+  if (sort === 'distance' && !near) sort = undefined;
+  if (sort === 'relevance' && !q) return 'newest';
+  if (SORT_SPECS[sort]) return sort;
+  return q ? 'relevance' : 'newest';
+}
+
+/* ------------------------------ Cursors ------------------------------ */
+const PAGE_LIMITS = [10, 25, 50, 100];
+const DEFAULT_PAGE_LIMIT = 25;
+
+// Opaque cursor: base64url of { s: sort, d: 'next'|'prev', v: sort-key values,
+// t: the text that was searched (so a typo-corrected search pages consistently) }
+function encodeCursor(sort, doc, dir, text) {
+  const values = SORT_SPECS[sort].map(([field, , type]) => {
+    const v = doc[field];
+    if (type === 'date') return new Date(v).toISOString();
+    if (type === 'id') return String(v);
+    return v;
+  });
+  return Buffer.from(JSON.stringify({ s: sort, d: dir, v: values, t: text || '' })).toString('base64url');
+}
+
+// -> { sort, dir, values, text } or null when the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { s, d, v, t = '' } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const spec = SORT_SPECS[s];
+    if (!spec || !['next', 'prev'].includes(d) || !Array.isArray(v) || v.length !== spec.length) return null;
+
+    const values = spec.map(([, , type], i) => {
+      if (type === 'id') return new mongoose.Types.ObjectId(v[i]);
+      if (type === 'date') {
+        const date = new Date(v[i]);
+        if (Number.isNaN(date.getTime())) throw new Error('bad date');
+        return date;
+      }
+      if (typeof v[i] !== 'number') throw new Error('bad number');
+      return v[i];
+    });
+    if (typeof t !== 'string') return null;
+    return { sort: s, dir: d, values, text: t };
+  } catch {
+    return null;
+  }
+}
+
+// Cursors of a page served as a bare array of hits, as response headers
+function pageHeaders({ nextCursor, prevCursor } = {}) {
+  return {
+    ...(nextCursor ? { 'X-Next-Cursor': nextCursor } : {}),
+    ...(prevCursor ? { 'X-Prev-Cursor': prevCursor } : {}),
+  };
+}
+
+// Rows strictly after `values` in the (possibly reversed) sort order
+function keysetMatch(spec, values, reverse) {
+  return {
+    $or: spec.map(([field, dir], i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[spec[j][0]] = values[j];
+      const ascending = reverse ? dir < 0 : dir > 0;
+      clause[field] = { [ascending ? '$gt' : '$lt']: values[i] };
+      return clause;
+    }),
+  };
+}
+
+/* ---------------------------- Aggregation ---------------------------- */
+const COMPANY_FIELDS = { name: 1, logoUrl: 1, location: 1, website: 1, industry: 1, email: 1, phone: 1 };
+
+// $lookup equivalent of .populate('company', 'name logoUrl location ...')
+const companyLookup = (project = COMPANY_FIELDS) => [
+  {
+    $lookup: {
+      from: Company.collection.name,
+      let: { companyId: '$company' },
+      pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$companyId'] } } }, { $project: project }],
+      as: 'company',
+    },
+  },
+  { $unwind: { path: '$company', preserveNullAndEmptyArrays: true } },
+];
+
+// Monthly stipend bands (PHP) for the stipend facet; 0 = unpaid
+const STIPEND_BANDS = [0, 1, 5000, 10000, 15000, 20000];
+const FACET_LIMIT = 30;
+
+const countBy = (path) => [
+  { $group: { _id: path, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+];
+
+const FACET_PIPELINES = {
+  jobType: countBy('$jobType'),
+  categories: [{ $unwind: '$categories' }, ...countBy('$categories')],
+  location: countBy('$location'),
+  region: countBy('$region.name'),
+  industry: [...companyLookup({ industry: 1 }), ...countBy('$company.industry')],
+  workArrangement: [
+    {
+      $group: {
+        _id: null,
+        remote: { $sum: { $cond: ['$isRemote', 1, 0] } },
+        hybrid: { $sum: { $cond: ['$isHybrid', 1, 0] } },
+        onsite: { $sum: { $cond: [{ $or: ['$isRemote', '$isHybrid'] }, 0, 1] } },
+      },
+    },
+  ],
+  stipend: [
+    { $match: { 'stipend.amount': { $type: 'number' } } },
+    {
+      $bucket: {
+        groupBy: MONTHLY_STIPEND_EXPR,
+        boundaries: [...STIPEND_BANDS, Number.MAX_SAFE_INTEGER],
+        default: 'other',
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+};
+
+// Raw $facet output -> { jobType: [{ value, count }], stipend: [{ min, max, count }], ... }
+function formatFacets(raw = {}) {
+  const buckets = (rows = []) => rows.map((r) => ({ value: r._id, count: r.count }));
+  const arrangement = raw.workArrangement?.[0] || {};
+
+  return {
+    jobType: buckets(raw.jobType),
+    categories: buckets(raw.categories),
+    location: buckets(raw.location),
+    region: buckets(raw.region),
+    industry: buckets(raw.industry),
+    workArrangement: ['remote', 'hybrid', 'onsite'].map((value) => ({ value, count: arrangement[value] || 0 })),
+    stipend: (raw.stipend || [])
+      .filter((r) => r._id !== 'other')
+      .map((r) => {
+        const i = STIPEND_BANDS.indexOf(r._id);
+        const next = STIPEND_BANDS[i + 1];
+        return { min: r._id, max: next != null ? next - 1 : null, count: r.count };
+      }),
+  };
+}
+
+/**
+ * One aggregation pass for a job listing: a cursor page of hits (company
+ * joined like populate) and, optionally, facet counts and the total over
+ * the same match.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.match     filter (may contain $text)
+ * @param {string} [opts.q]       query term; adds the per-hit relevance score
+ * @param {string} opts.sort      key of SORT_SPECS (see resolveSort)
+ * @param {Object} [opts.near]    resolved `near` point; adds distanceKm per hit
+ * @param {Object} [opts.cursor]  decoded cursor from decodeCursor()
+ * @param {?number} [opts.limit]  page size; null returns every hit (no cursors or facets)
+ * @param {Object} [opts.project] inclusion projection for hits
+ * @returns {Promise<{jobs:Array, nextCursor:?string, prevCursor:?string, total?:number, facets?:Object}>}
+ */
+async function aggregateJobSearch({
+  match,
+  q,
+  sort,
+  near = null,
+  cursor = null,
+  limit = DEFAULT_PAGE_LIMIT,
+  project = null,
+  withFacets = false,
+  withTotal = false,
+}) {
+  const spec = SORT_SPECS[sort];
+  const backwards = cursor?.dir === 'prev';
+  const computed = spec.map(([field]) => field).filter((f) => SORT_FIELDS[f]);
+
+  const hits = [
+    ...(cursor ? [{ $match: keysetMatch(spec, cursor.values, backwards) }] : []),
+    { $sort: Object.fromEntries(spec.map(([field, dir]) => [field, backwards ? -dir : dir])) },
+    ...(limit ? [{ $limit: limit + 1 }] : []), // one extra tells us whether another page exists
+    ...(project
+      ? [{ $project: { ...project, company: 1, score: 1, distanceKm: 1, ...Object.fromEntries(computed.map((f) => [f, 1])) } }]
+      : [{ $project: { termVector: 0 } }]), // select: false does not apply to aggregations
+    ...companyLookup(),
+  ];
+
+  const pipeline = [{ $match: match }];
+  if (q) pipeline.push({ $addFields: { score: TEXT_SCORE } });
+  if (near) pipeline.push({ $addFields: { distanceKm: { $round: [haversineExpr(near.coordinates), 1] } } });
+  if (computed.length) pipeline.push({ $addFields: Object.fromEntries(computed.map((f) => [f, SORT_FIELDS[f]])) });
+
+  // Every hit streams straight out: $facet returns one size-capped document
+  if (!limit) {
+    const rows = await Job.aggregate([...pipeline, ...hits]);
+    rows.forEach((row) => computed.forEach((f) => delete row[f]));
+    return { jobs: rows, nextCursor: null, prevCursor: null, ...(withTotal ? { total: rows.length } : {}) };
+  }
+
+  pipeline.push({
+    $facet: {
+      jobs: hits,
+      ...(withFacets ? FACET_PIPELINES : {}),
+      ...(withTotal ? { total: [{ $count: 'n' }] } : {}),
+    },
+  });
+
+  const [result = {}] = await Job.aggregate(pipeline);
+  const { jobs: rows = [], total, ...raw } = result;
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const out = {
+    jobs: page.map((row) => {
+      const job = { ...row };
+      computed.forEach((f) => delete job[f]);
+      return job;
+    }),
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(sort, last, 'next', q) : null,
+    prevCursor: first && (backwards ? hasMore : !!cursor) ? encodeCursor(sort, first, 'prev', q) : null,
+  };
+  if (withTotal) out.total = total?.[0]?.n || 0;
+  if (withFacets) out.facets = formatFacets(raw);
+  return out;
+}
+
+module.exports = {
+  SEARCH_FILTER_KEYS,
+  SORTS,
+  PAGE_LIMITS,
+  DEFAULT_PAGE_LIMIT,
+  STOPWORDS,
+  POSTED_WITHIN,
+  MONTHLY_STIPEND_FACTORS,
+  MONTHLY_STIPEND_EXPR,
+  escapeRegex,
+  tokenize,
+  stem,
+  pickSearchFilters,
+  buildJobFilter,
+  buildAdvancedJobFilter,
+  buildLocationFilter,
+  locationQuery,
+  resolveSort,
+  decodeCursor,
+  pageHeaders,
+  companyLookup,
+  aggregateJobSearch,
+};
@@ -0,0 +1,90 @@
+// utils/jobViews.js
+// Job view counting. A view counts once per visitor (signed-in user, else a
+// salted hash of IP + user agent) per window; admins and bots are not
+// counted. Counted views bump Job.views and the job's JobViewDaily bucket.
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobView = require('../models/JobView');
+const JobViewDaily = require('../models/JobViewDaily');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VISITOR_SALT = process.env.JWT_SECRET || 'devsecret';
+const BOT_UA = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|curl|wget|python-requests|go-http-client|java\//i;
+
+// YYYY-MM-DD in Manila time
+const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Manila', year: 'numeric', month: '2-digit', day: '2-digit' });
+const dayOf = (date) => dayFormat.format(date);
+
+/* ------------------------------ Recording ------------------------------ */
+function isCountable(req) {
+  const role = req.userRole || req.user?.userType;
+  if (role === 'admin') return false;
+  const ua = String(req.get('User-Agent') || '');
+  return ua !== '' && !BOT_UA.test(ua);
+}
+
+// Not X-Session-Id: a client could send a fresh one with every beacon
+function visitorKey(req) {
+  const userId = req.userId || req.user?._id;
+  if (userId) return `user:${userId}`;
+  const hash = crypto
+    .createHmac('sha256', VISITOR_SALT)
+    .update(`${req.ip}\n${req.get('User-Agent') || ''}`)
+    .digest('hex');
+  return `anon:${hash.slice(0, 24)}`;
+}
+
+// Claim the visitor's window: a new row, or one whose window has passed
+async function claimView(job, visitor, now) {
+  try {
+    await JobView.create({ job, visitor, viewedAt: now });
+    return true;
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+  }
+  const cutoff = new Date(now - JobView.VIEW_WINDOW_SECONDS * 1000);
+  const { modifiedCount } = await JobView.updateOne(
+    { job, visitor, viewedAt: { $lte: cutoff } },
+    { $set: { viewedAt: now } }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Count a view of a listed job by the visitor behind `req`.
+ * @returns {Promise<boolean>} whether the view was counted
+ */
+async function recordJobView(req, job, now = new Date()) {
+  if (!job || job.status !== 'active' || !job.isApproved || !isCountable(req)) return false;
+  if (!(await claimView(job._id, visitorKey(req), now))) return false;
+
+  await Promise.all([
+    Job.updateOne({ _id: job._id }, { $inc: { views: 1 } }),
+    JobViewDaily.updateOne({ job: job._id, day: dayOf(now) }, { $inc: { views: 1 } }, { upsert: true }),
+  ]);
+  return true;
+}
+
+/* ------------------------------ Reporting ------------------------------ */
+/**
+ * Views per day for one job, zero-filled, oldest first.
+ * @returns {Promise<Array<{day:string, views:number}>>}
+ */
+async function dailyViews(jobId, { from, to }) {
+  const first = dayOf(from);
+  const last = dayOf(to);
+  const rows = await JobViewDaily.find({ job: jobId, day: { $gte: first, $lte: last } }).lean();
+  const byDay = new Map(rows.map((r) => [r.day, r.views]));
+
+  const days = [];
+  for (let t = from.getTime(); dayOf(new Date(t)) <= last; t += DAY_MS) {
+    const day = dayOf(new Date(t));
+    if (days[days.length - 1]?.day !== day) days.push({ day, views: byDay.get(day) || 0 });
+  }
+  return days;
+}
+
+module.exports = {
+  recordJobView,
+  dailyViews,
+};
@@ -0,0 +1,105 @@
+// utils/psgc.js
+// Philippine Standard Geographic Code lookups. Free-text locations are mapped
+// onto region/province/city codes (data/psgc.json, plus the city codes in the
+// gazetteer) so "Pasay", "Pasay City" and "NAIA, Pasay" file under one city.
+const { regions, provinces } = require('../data/psgc.json');
+const PLACES = require('../data/phPlaces.json');
+const { normalizePlaceName, resolvePlace } = require('./geo');
+
+const PSGC_CODE = /^\d{9}$/;
+
+const REGIONS = new Map(regions.map((r) => [r.code, r]));
+const PROVINCES = new Map(provinces.map((p) => [p.code, p]));
+const CITIES = new Map(PLACES.map((p) => [p.psgc, p]));
+
+// 9-digit PSGC: RRPPMMBBB, so a city's province is its first four digits
+const provinceCodeOf = (cityCode) => `${cityCode.slice(0, 4)}00000`;
+
+/* ------------------------------ Name keys ------------------------------ */
+function keyIndex(entries, namesOf) {
+  const index = new Map();
+  for (const entry of entries) {
+    for (const key of namesOf(entry).map(normalizePlaceName)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry.code || entry.psgc);
+    }
+  }
+  return index;
+}
+
+const REGION_KEYS = keyIndex(regions, (r) => [r.name, ...(r.aliases || [])]);
+const PROVINCE_KEYS = keyIndex(provinces, (p) => [p.name]);
+const CITY_KEYS = keyIndex(PLACES, (p) => [p.name, ...(p.aliases || [])]);
+
+// "NCR" / "Region III" / "130000000" -> codes (empty when unknown)
+function codesFor(value, byCode, keys) {
+  const v = String(value ?? '').trim();
+  if (PSGC_CODE.test(v)) return byCode.has(v) ? [v] : [];
+  return keys.get(normalizePlaceName(v)) || [];
+}
+
+const regionCodes = (value) => codesFor(value, REGIONS, REGION_KEYS);
+const provinceCodes = (value) => codesFor(value, PROVINCES, PROVINCE_KEYS);
+const cityCodes = (value) => codesFor(value, CITIES, CITY_KEYS);
+
+/* ----------------------------- Normaliser ----------------------------- */
+const ref = (entry) => (entry ? { code: entry.code, name: entry.name } : undefined);
+
+function fromProvince(code) {
+  const province = PROVINCES.get(code);
+  return { region: ref(REGIONS.get(province?.regionCode)), province: ref(province), city: undefined };
+}
+
+function fromCity(place) {
+  return { ...fromProvince(provinceCodeOf(place.psgc)), city: { code: place.psgc, name: place.name } };
+}
+
+/**
+ * Region/province/city for a free-text location, as deep as it can be
+ * resolved; unresolved levels are undefined.
+ *   "Pasay City, Metro Manila" -> NCR / NCR, Fourth District / Pasay
+ *   "Pampanga"                 -> Central Luzon / Pampanga
+ *   "Region IV-A"              -> CALABARZON
+ * @returns {{region?:{code,name}, province?:{code,name}, city?:{code,name}}}
+ */
+function normalizeLocation(text) {
+  const key = normalizePlaceName(text);
+  const none = { region: undefined, province: undefined, city: undefined };
+  if (!key) return none;
+
+  if (REGION_KEYS.has(key)) return { ...none, region: ref(REGIONS.get(REGION_KEYS.get(key)[0])) };
+  // "Cebu" is the province, "Cebu City" the city
+  if (PROVINCE_KEYS.has(key) && !/\bcity\b/i.test(text)) return fromProvince(PROVINCE_KEYS.get(key)[0]);
+
+  const place = resolvePlace(text);
+  if (place) return fromCity(place);
+
+  // "Somewhere, Pampanga" -> just the province; else any region mentioned
+  const padded = ` ${key} `;
+  for (const [name, codes] of PROVINCE_KEYS) if (padded.includes(` ${name} `)) return fromProvince(codes[0]);
+  for (const [name, codes] of REGION_KEYS) {
+    if (padded.includes(` ${name} `)) return { ...none, region: ref(REGIONS.get(codes[0])) };
+  }
+  return none;
+}
+
+// Write normalizeLocation() onto a document, or into a findOneAndUpdate
+// query (levels that no longer resolve are unset)
+function applyLocationFields(target, location) {
+  const fields = normalizeLocation(location);
+  if (typeof target.getUpdate !== 'function') return target.set(fields);
+
+  const update = target.getUpdate();
+  for (const [level, value] of Object.entries(fields)) {
+    if (value) target.set(level, value);
+    else update.$unset = { ...update.$unset, [level]: 1 };
+  }
+}
+
+module.exports = {
+  normalizeLocation,
+  applyLocationFields,
+  regionCodes,
+  provinceCodes,
+  cityCodes,
+};
@@ -0,0 +1,142 @@
+// utils/recommendations.js
+// Job recommendations for students: skill overlap with the job's
+// requirements, plus how strongly students of the same course gravitate to
+// the job's categories (learnt from their applications and saves).
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const JobDismissal = require('../models/JobDismissal');
+const { createTtlCache } = require('./ttlCache');
+const { escapeRegex } = require('./jobSearch');
+
+const APPLY_WEIGHT = 2; // an application says more than a save
+const SAVE_WEIGHT = 1;
+const SKILL_WEIGHT = 0.6;
+const AFFINITY_WEIGHT = 0.4;
+const MIN_AFFINITY = 0.2; // categories below this share of the top one are not a reason
+const CANDIDATES = 300;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const affinityCache = createTtlCache({ ttlMs: 10 * 60 * 1000, max: 200 });
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+const exactI = (s) => new RegExp(`^${escapeRegex(String(s).trim())}$`, 'i');
+
+/* ----------------------------- Affinity ----------------------------- */
+/**
+ * category (lowercased) -> 0..1, relative to the course's favourite
+ * category, from applications and saves by users of the same course.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function courseAffinity(course) {
+  const key = normalize(course);
+  if (!key) return new Map();
+
+  return affinityCache.wrap(key, async () => {
+    const users = await User.find({ course: exactI(course) }).distinct('_id');
+    if (!users.length) return new Map();
+
+    const [applied, saved] = await Promise.all([
+      Application.aggregate([
+        { $match: { applicant: { $in: users } } },
+        { $lookup: { from: 'jobs', localField: 'job', foreignField: '_id', as: 'job' } },
+        { $unwind: '$job' },
+        { $unwind: '$job.categories' },
+        { $group: { _id: { $toLower: '$job.categories' }, n: { $sum: 1 } } },
+      ]),
+      Job.aggregate([
+        { $match: { savedBy: { $in: users } } },
+        { $project: { categories: 1, saves: { $size: { $setIntersection: ['$savedBy', users] } } } },
+        { $unwind: '$categories' },
+        { $group: { _id: { $toLower: '$categories' }, n: { $sum: '$saves' } } },
+      ]),
+    ]);
+
+    const scores = new Map();
+    applied.forEach((r) => scores.set(r._id, (scores.get(r._id) || 0) + r.n * APPLY_WEIGHT));
+    saved.forEach((r) => scores.set(r._id, (scores.get(r._id) || 0) + r.n * SAVE_WEIGHT));
+
+    const top = Math.max(0, ...scores.values());
+    return new Map([...scores].map(([category, score]) => [category, top ? score / top : 0]));
+  });
+}
+
+/* ------------------------------ Ranking ------------------------------ */
+function scoreJob(job, { skills, affinity, course }) {
+  const required = job.skillsRequired || [];
+  const matchedSkills = required.filter((s) => skills.has(normalize(s)));
+  // Share of the job's requirements covered; jobs listing no skills get none
+  const skillScore = required.length ? matchedSkills.length / required.length : 0;
+
+  let bestCategory = null;
+  let affinityScore = 0;
+  for (const c of job.categories || []) {
+    const a = affinity.get(normalize(c)) || 0;
+    if (a > affinityScore) [bestCategory, affinityScore] = [c, a];
+  }
+
+  const reasons = [];
+  if (matchedSkills.length) {
+    reasons.push(`Matches ${matchedSkills.length} of ${required.length} required skills: ${matchedSkills.join(', ')}`);
+  }
+  if (bestCategory && affinityScore >= MIN_AFFINITY) {
+    reasons.push(`Popular with ${course} students (${bestCategory})`);
+  }
+
+  return {
+    score: Math.round((SKILL_WEIGHT * skillScore + AFFINITY_WEIGHT * affinityScore) * 1000) / 1000,
+    matchedSkills,
+    reasons,
+  };
+}
+
+/**
+ * Active, approved, still-open jobs for `userId`, best first, minus jobs
+ * they applied to or dismissed. Each hit carries a `recommendation`
+ * ({ score, matchedSkills, reasons }).
+ * @returns {Promise<Array>}
+ */
+async function recommendJobs({ userId, limit = DEFAULT_LIMIT, now = new Date() }) {
+  const user = await User.findById(userId).select('skills course').lean();
+  if (!user) return [];
+
+  const skillList = (user.skills || []).filter((s) => normalize(s));
+  const [affinity, applied, dismissed] = await Promise.all([
+    courseAffinity(user.course),
+    Application.find({ applicant: userId }).distinct('job'),
+    JobDismissal.find({ user: userId }).distinct('job'),
+  ]);
+
+  const categories = [...affinity].filter(([, a]) => a >= MIN_AFFINITY).map(([c]) => exactI(c));
+  const signals = [
+    ...(skillList.length ? [{ skillsRequired: { $in: skillList.map(exactI) } }] : []),
+    ...(categories.length ? [{ categories: { $in: categories } }] : []),
+  ];
+  if (!signals.length) return [];
+
+  const candidates = await Job.find({
+    _id: { $nin: [...applied, ...dismissed] },
+    status: 'active',
+    isApproved: true,
+    $and: [{ $or: [{ applicationDeadline: null }, { applicationDeadline: { $gte: now } }] }, { $or: signals }],
+  })
+    .populate('company', 'name logoUrl location website industry')
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES)
+    .lean();
+
+  const context = { skills: new Set(skillList.map(normalize)), affinity, course: user.course };
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return candidates
+    .map((job) => ({ ...Job.withSavedFlag(job, userId), recommendation: scoreJob(job, context) }))
+    .filter((j) => j.recommendation.reasons.length)
+    .sort((a, b) => b.recommendation.score - a.recommendation.score || b.createdAt - a.createdAt)
+    .slice(0, size);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  courseAffinity,
+  recommendJobs,
+};
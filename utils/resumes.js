@@ -0,0 +1,24 @@
+// utils/resumes.js
+// Resumes hold applicants' personal data, so they are stored outside the
+// public uploads/ folder and only served by GET /api/applications/:id/resume
+// to the applicant and admins.
+const path = require('path');
+
+const RESUME_DIR = path.join(__dirname, '..', 'storage', 'resumes');
+// Where resumes used to be written (served statically); see scripts/migrateResumes.js
+const LEGACY_RESUME_DIR = path.join(__dirname, '..', 'uploads', 'resumes');
+
+const resumeUrl = (applicationId) => `/api/applications/${applicationId}/resume`;
+
+// Stored file of an application's resume (basename only, never a client path)
+const resumePath = (resume) => {
+  const name = resume?.fileName || path.basename(String(resume?.url || ''));
+  return name ? path.join(RESUME_DIR, path.basename(name)) : null;
+};
+
+module.exports = {
+  RESUME_DIR,
+  LEGACY_RESUME_DIR,
+  resumeUrl,
+  resumePath,
+};
@@ -0,0 +1,193 @@
+// utils/scheduler.js
+// In-process scheduler for recurring background work (config/scheduledTasks.js).
+// Every instance ticks, but a task only runs where its ScheduledTask row was
+// claimed, so a deployment with several instances runs each task once.
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledTask = require('../models/ScheduledTask');
+const { parseCron, nextRun } = require('./cron');
+
+const TICK_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const tasks = new Map(); // name -> definition
+const running = new Set(); // names running in this process
+let timer = null;
+
+/* ---------------------------- Definitions ---------------------------- */
+/**
+ * Register a task. `run(now)` may resolve with a small summary, which is
+ * stored as lastResult.
+ * @param {Object} def
+ * @param {string} def.name
+ * @param {string} def.schedule cron expression (Manila time), see utils/cron.js
+ * @param {Function} def.run
+ * @param {string} [def.description]
+ * @param {number} [def.timeoutMs] how long the lock is held; a run still
+ *   going after this may be started again elsewhere
+ * @throws {Error} for duplicate names or invalid schedules
+ */
+function defineTask({ name, schedule, run, description, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (tasks.has(name)) throw new Error(`Task "${name}" is already defined`);
+  if (typeof run !== 'function') throw new Error(`Task "${name}" needs a run function`);
+  tasks.set(name, { name, schedule, cron: parseCron(schedule), run, description, timeoutMs });
+}
+
+const isDefined = (name) => tasks.has(name);
+
+// Create missing rows; a changed schedule takes effect from now
+async function syncTasks(now = new Date()) {
+  for (const def of tasks.values()) {
+    const row = await ScheduledTask.findOne({ name: def.name }).select('schedule').lean();
+    const next = nextRun(def.cron, now);
+
+    if (!row) {
+      await ScheduledTask.create({ name: def.name, schedule: def.schedule, description: def.description, nextRunAt: next }).catch(
+        (err) => {
+          if (err?.code !== 11000) throw err; // another instance created it first
+        }
+      );
+    } else {
+      const changed = row.schedule !== def.schedule;
+      await ScheduledTask.updateOne(
+        { name: def.name },
+        { $set: { description: def.description, ...(changed ? { schedule: def.schedule, nextRunAt: next } : {}) } }
+      );
+    }
+  }
+}
+
+/* -------------------------------- Runs -------------------------------- */
+// Take the lock; scheduled runs also need to be due and not paused
+function claim(def, trigger, now) {
+  const lockedUntil = new Date(now.getTime() + def.timeoutMs);
+  const filter = {
+    name: def.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    ...(trigger === 'schedule' ? { paused: { $ne: true }, nextRunAt: { $lte: now } } : {}),
+  };
+  const update = {
+    $set: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil,
+      ...(trigger === 'schedule' ? { nextRunAt: nextRun(def.cron, now) } : {}),
+    },
+  };
+  return ScheduledTask.findOneAndUpdate(filter, update, { new: true }).then((row) => row && lockedUntil);
+}
+
+async function execute(def, trigger, now) {
+  const lockedUntil = await claim(def, trigger, now);
+  if (!lockedUntil) return null;
+
+  running.add(def.name);
+  const started = Date.now();
+  let result;
+  let error = null;
+  try {
+    result = await def.run(now);
+  } catch (err) {
+    error = err;
+    console.error(`[Scheduler] ${def.name} failed:`, err.message);
+  } finally {
+    running.delete(def.name);
+  }
+
+  const set = { lastRunAt: now, lastDurationMs: Date.now() - started, lastTrigger: trigger };
+  const unset = {};
+  if (error) {
+    Object.assign(set, { lastStatus: 'failed', lastError: String(error.message || error).slice(0, MAX_ERROR_LENGTH) });
+    unset.lastResult = 1;
+  } else {
+    set.lastStatus = 'success';
+    unset.lastError = 1;
+    if (result === undefined) unset.lastResult = 1;
+    else set.lastResult = result;
+  }
+  const inc = { runCount: 1, failCount: error ? 1 : 0 };
+
+  // Release only our own lock; if it lapsed and was re-claimed, keep theirs
+  const released = await ScheduledTask.updateOne(
+    { name: def.name, lockedBy: INSTANCE_ID, lockedUntil },
+    { $set: set, $unset: { ...unset, lockedBy: 1, lockedUntil: 1 }, $inc: inc }
+  );
+  if (!released.matchedCount) {
+    await ScheduledTask.updateOne({ name: def.name }, { $set: set, $unset: unset, $inc: inc });
+  }
+
+  return ScheduledTask.findOne({ name: def.name }).lean();
+}
+
+async function tick() {
+  for (const def of tasks.values()) {
+    if (running.has(def.name)) continue;
+    await execute(def, 'schedule', new Date()).catch((err) =>
+      console.error(`[Scheduler] ${def.name} could not be started:`, err.message)
+    );
+  }
+}
+
+/* ------------------------------- Control ------------------------------- */
+/**
+ * Run a task now, outside its schedule and even when paused. Its next
+ * scheduled run is unchanged.
+ * @returns {Promise<?Object>} the task row after the run; null when it is
+ *   already running (here or on another instance)
+ */
+function runTask(name, now = new Date()) {
+  return execute(tasks.get(name), 'manual', now);
+}
+
+// Paused tasks skip their scheduled runs; resuming does not catch up
+async function setPaused(name, paused, now = new Date()) {
+  const def = tasks.get(name);
+  return ScheduledTask.findOneAndUpdate(
+    { name },
+    { $set: { paused, ...(paused ? {} : { nextRunAt: nextRun(def.cron, now) }) } },
+    { new: true }
+  ).lean();
+}
+
+// Defined tasks with their stored state
+async function listTasks() {
+  const rows = await ScheduledTask.find({ name: { $in: [...tasks.keys()] } }).lean();
+  const byName = new Map(rows.map((r) => [r.name, r]));
+  return [...tasks.values()].map(({ name, schedule, description }) => {
+    const { _id, __v, ...state } = byName.get(name) || {};
+    return {
+      ...state,
+      name,
+      schedule,
+      description,
+      paused: Boolean(state.paused),
+      running: Boolean(state.lockedUntil && state.lockedUntil > new Date()),
+    };
+  });
+}
+
+// Sync definitions and start ticking (tasks already due run right away)
+async function startScheduler({ tickMs = TICK_MS } = {}) {
+  if (timer) return;
+  await syncTasks();
+  timer = setInterval(() => tick().catch((e) => console.error('[Scheduler] tick failed:', e.message)), tickMs);
+  console.log(`[Scheduler] ${tasks.size} task(s) scheduled on ${INSTANCE_ID}`);
+  tick().catch((e) => console.error('[Scheduler] tick failed:', e.message));
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  defineTask,
+  isDefined,
+  startScheduler,
+  stopScheduler,
+  runTask,
+  setPaused,
+  listTasks,
+};
@@ -0,0 +1,216 @@
+// utils/searchAnalytics.js
+// Search logging at request time plus the SearchLog reports behind the admin
+// search-analytics endpoints. Each SearchLog row is one (deduplicated) search.
+const crypto = require('crypto');
+const SearchLog = require('../models/SearchLog');
+const { pickSearchFilters } = require('./jobSearch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const REPORT_TIMEZONE = 'Asia/Manila';
+const ROLES = ['student', 'alumni', 'admin', 'guest'];
+const RETENTION_DAYS = Number(process.env.SEARCH_LOG_RETENTION_DAYS) || 365;
+
+const SESSION_SALT = process.env.JWT_SECRET || 'devsecret';
+
+/* ------------------------------ Logging ------------------------------ */
+/**
+ * Session a search or click belongs to: the frontend's anonymous
+ * X-Session-Id, else the signed-in user, else a salted hash of the IP so
+ * guest rows never store who or where they came from.
+ */
+function sessionKey(req) {
+  const header = String(req.get('X-Session-Id') || '').trim().slice(0, 100);
+  if (header) return header;
+  if (req.userId) return `user:${req.userId}`;
+  const hash = crypto.createHmac('sha256', SESSION_SALT).update(String(req.ip)).digest('hex');
+  return `anon:${hash.slice(0, 24)}`;
+}
+
+/**
+ * Record a search made through `req` (optionalSession/requireAuth populate
+ * userId/userRole). Resolves to the SearchLog row; its _id is the searchId
+ * returned with results for click tracking.
+ */
+function logSearch(req, { term, resultCount, correctedTerm, filters = {} }) {
+  const role = ROLES.includes(req.userRole) ? req.userRole : 'guest';
+  const { q, ...rest } = pickSearchFilters(filters);
+  return SearchLog.record({
+    term,
+    user: req.userId || null,
+    role,
+    sessionId: sessionKey(req),
+    resultCount,
+    correctedTerm,
+    filters: rest,
+  });
+}
+
+// Click on the result at `position` of a search this session ran
+function logClick(req, { searchId, jobId, position }) {
+  return SearchLog.recordClick({ searchId, sessionId: sessionKey(req), job: jobId, position });
+}
+
+// Drop searches older than the retention period (scheduled daily)
+async function purgeSearchLogs(now = new Date()) {
+  const { deletedCount } = await SearchLog.deleteMany({ createdAt: { $lt: new Date(now - RETENTION_DAYS * DAY_MS) } });
+  return { deleted: deletedCount };
+}
+
+/* ------------------------------ Reports ------------------------------ */
+// { from, to } query strings -> Date range (default: the last 30 days)
+function parseRange({ from, to } = {}, now = new Date()) {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { from: start, to: end };
+}
+
+const inRange = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to } });
+
+// Most searched terms, with how often each came back empty
+async function topTerms({ range, role, limit = 20 }) {
+  const match = { ...inRange(range), ...(role ? { role } : {}) };
+  const rows = await SearchLog.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$term',
+        searches: { $sum: 1 },
+        runs: { $sum: { $ifNull: ['$runs', 1] } },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        avgResults: { $avg: '$resultCount' },
+        lastSearchedAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(({ _id, avgResults, ...r }) => ({
+    term: _id,
+    ...r,
+    avgResults: avgResults == null ? null : Math.round(avgResults * 10) / 10,
+  }));
+}
+
+// Searches per day or ISO week for one term
+async function termTrend({ term, range, interval = 'day' }) {
+  const format = interval === 'week' ? '%G-W%V' : '%Y-%m-%d';
+  const rows = await SearchLog.aggregate([
+    { $match: { ...inRange(range), term: SearchLog.normalizeTerm(term) } },
+    {
+      $group: {
+        _id: { $dateToString: { format, date: '$createdAt', timezone: REPORT_TIMEZONE } },
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return rows.map(({ _id, ...r }) => ({ period: _id, ...r }));
+}
+
+// Searches, distinct terms and empty searches per role
+async function roleBreakdown({ range }) {
+  const rows = await SearchLog.aggregate([
+    { $match: inRange(range) },
+    {
+      $group: {
+        _id: '$role',
+        searches: { $sum: 1 },
+        terms: { $addToSet: '$term' },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+      },
+    },
+    { $project: { searches: 1, zeroResults: 1, uniqueTerms: { $size: '$terms' } } },
+    { $sort: { searches: -1 } },
+  ]);
+  return rows.map(({ _id, ...r }) => ({ role: _id || 'guest', ...r }));
+}
+
+/**
+ * Terms that found nothing (even after typo correction), with the locations
+ * and categories people combined them with: the demand we have no jobs for.
+ */
+async function zeroResultSearches({ range, role, limit = 50 }) {
+  const rows = await SearchLog.aggregate([
+    { $match: { ...inRange(range), resultCount: 0, ...(role ? { role } : {}) } },
+    {
+      $group: {
+        _id: '$term',
+        searches: { $sum: 1 },
+        sessions: { $addToSet: '$sessionId' },
+        roles: { $addToSet: '$role' },
+        locations: { $addToSet: '$filters.location' },
+        categories: { $addToSet: '$filters.category' },
+        lastSearchedAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { searches: -1, lastSearchedAt: -1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(({ _id, sessions, locations, categories, ...r }) => ({
+    term: _id,
+    ...r,
+    sessions: sessions.filter(Boolean).length,
+    locations: locations.filter(Boolean),
+    categories: categories.filter(Boolean),
+  }));
+}
+
+/**
+ * Click-through rate and mean reciprocal rank per term, over searches that
+ * returned results. MRR averages 1/rank of the best click (0 when nothing
+ * was opened), so it drops when people scroll past the top hits.
+ */
+async function clickThrough({ range, role, limit = 20, minSearches = 5 }) {
+  const match = { ...inRange(range), resultCount: { $ne: 0 }, ...(role ? { role } : {}) };
+  const clicked = { $gt: [{ $ifNull: ['$firstClickPosition', 0] }, 0] };
+  const stats = {
+    searches: { $sum: 1 },
+    clickedSearches: { $sum: { $cond: [clicked, 1, 0] } },
+    clicks: { $sum: { $size: { $ifNull: ['$clicks', []] } } },
+    mrr: { $avg: { $cond: [clicked, { $divide: [1, '$firstClickPosition'] }, 0] } },
+  };
+  const [result] = await SearchLog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, ...stats } }],
+        terms: [
+          { $group: { _id: '$term', ...stats } },
+          { $match: { searches: { $gte: minSearches } } },
+          { $sort: { searches: -1, _id: 1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const format = ({ _id, searches, clickedSearches, clicks, mrr }) => ({
+    ...(_id ? { term: _id } : {}),
+    searches,
+    clickedSearches,
+    clicks,
+    ctr: searches ? round(clickedSearches / searches) : 0,
+    mrr: round(mrr || 0),
+  });
+  return {
+    overall: format(result.overall[0] || { searches: 0, clickedSearches: 0, clicks: 0, mrr: 0 }),
+    terms: result.terms.map(format),
+  };
+}
+
+module.exports = {
+  ROLES,
+  sessionKey,
+  logSearch,
+  logClick,
+  purgeSearchLogs,
+  parseRange,
+  topTerms,
+  termTrend,
+  roleBreakdown,
+  zeroResultSearches,
+  clickThrough,
+};
@@ -0,0 +1,143 @@
+// utils/searchSuggest.js
+// Search-as-you-type suggestions. refreshSearchTerms() rebuilds the SearchTerm
+// vocabulary in the background; suggest() only reads it through the tokens
+// prefix index and a short cache, so it is cheap enough for every keystroke.
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const SearchLog = require('../models/SearchLog');
+const SearchTerm = require('../models/SearchTerm');
+const { createTtlCache } = require('./ttlCache');
+const { tokenize, escapeRegex } = require('./jobSearch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUERY_WINDOW_DAYS = 90;
+const MIN_QUERY_COUNT = 3; // a past search is only suggested once several people made it
+const HALF_LIFE_DAYS = 30;
+const CANDIDATES = 100;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Relative value of each source when frequency and recency are equal
+const KIND_BOOST = { query: 1, title: 1, company: 0.9, skill: 0.8, category: 0.8 };
+
+const suggestCache = createTtlCache({ ttlMs: 60 * 1000, max: 1000 });
+
+/* ------------------------------ Refresh ------------------------------ */
+// Jobs and companies that are listed are public; the rest only admins see
+const isListedJob = (j) => j.status === 'active' && j.isApproved;
+
+/**
+ * Rebuild the SearchTerm collection from job titles, company names,
+ * categories, skills and popular SearchLog terms.
+ * @returns {Promise<number>} terms written
+ */
+async function refreshSearchTerms(now = new Date()) {
+  const terms = new Map();
+  const add = (kind, text, { count = 1, at, roles }) => {
+    const tokens = tokenize(text);
+    if (!tokens.length) return;
+    const term = tokens.join(' ');
+    const key = `${kind}:${term}`;
+    const row = terms.get(key) || { kind, term, tokens, display: String(text).trim(), weight: 0, roles: new Set() };
+    row.weight += count;
+    if (at && (!row.lastSeenAt || at > row.lastSeenAt)) row.lastSeenAt = at;
+    roles.forEach((r) => row.roles.add(r));
+    terms.set(key, row);
+  };
+
+  const jobs = await Job.aggregate([
+    { $match: { status: { $ne: 'draft' } } },
+    { $project: { title: 1, categories: 1, skillsRequired: 1, status: 1, isApproved: 1, updatedAt: 1 } },
+  ]);
+  for (const j of jobs) {
+    const opts = { at: j.updatedAt, roles: [isListedJob(j) ? 'public' : 'admin'] };
+    add('title', j.title, opts);
+    new Set(j.categories || []).forEach((c) => add('category', c, opts));
+    new Set(j.skillsRequired || []).forEach((s) => add('skill', s, opts));
+  }
+
+  const companies = await Company.find().select('name isActive updatedAt').lean();
+  companies.forEach((c) => add('company', c.name, { at: c.updatedAt, roles: [c.isActive ? 'public' : 'admin'] }));
+
+  // Popular past searches, visible to the roles that made them
+  const queries = await SearchLog.aggregate([
+    { $match: { createdAt: { $gte: new Date(now - QUERY_WINDOW_DAYS * DAY_MS) } } },
+    { $group: { _id: '$term', count: { $sum: 1 }, at: { $max: '$createdAt' }, roles: { $addToSet: '$role' } } },
+    { $match: { count: { $gte: MIN_QUERY_COUNT } } },
+  ]);
+  queries.forEach((q) => add('query', q._id, { count: q.count, at: q.at, roles: q.roles }));
+
+  const ops = [...terms.values()].map(({ kind, term, roles, ...rest }) => ({
+    updateOne: {
+      filter: { kind, term },
+      update: { $set: { ...rest, roles: [...roles], refreshedAt: now } },
+      upsert: true,
+    },
+  }));
+  if (ops.length) await SearchTerm.bulkWrite(ops, { ordered: false });
+  await SearchTerm.deleteMany({ refreshedAt: { $lt: now } });
+
+  suggestCache.clear();
+  return ops.length;
+}
+
+/* ------------------------------ Suggest ------------------------------ */
+function rank(t, prefix, now) {
+  const ageDays = t.lastSeenAt ? Math.max(now - t.lastSeenAt, 0) / DAY_MS : QUERY_WINDOW_DAYS;
+  const recency = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+  const startsWith = t.term.startsWith(prefix) ? 1.25 : 1; // "mech" ranks "mechanic" over "aircraft mechanic"
+  return Math.log1p(t.weight) * recency * startsWith * (KIND_BOOST[t.kind] || 1);
+}
+
+/**
+ * Ranked completions for a partly typed query. Every finished word must
+ * appear in the suggestion; the last word may be a prefix of any word.
+ * @param {Object} opts
+ * @param {string} opts.prefix
+ * @param {string} [opts.role] requester's role; admins also see unlisted content
+ * @returns {Promise<Array<{text:string, kinds:string[], score:number}>>}
+ */
+async function suggest({ prefix, role, limit = DEFAULT_LIMIT, now = new Date() }) {
+  const words = tokenize(prefix);
+  if (!words.length) return [];
+  const partial = /\s$/.test(prefix) ? null : words.pop();
+  const scope = role === 'admin' ? 'admin' : role || 'guest';
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return suggestCache.wrap(`${scope}|${size}|${words.join(' ')}|${partial ?? ''}`, async () => {
+    const clauses = words.map((w) => ({ tokens: w }));
+    if (partial) clauses.unshift({ tokens: { $regex: `^${escapeRegex(partial)}` } });
+    if (scope !== 'admin') clauses.push({ roles: { $in: ['public', scope] } });
+
+    const candidates = await SearchTerm.find({ $and: clauses })
+      .sort({ weight: -1 })
+      .limit(CANDIDATES)
+      .select('term display kind weight lastSeenAt')
+      .lean();
+
+    // One suggestion per text; a term found in several sources adds up
+    const normalizedPrefix = tokenize(prefix).join(' ');
+    const byTerm = new Map();
+    for (const t of candidates) {
+      const score = rank(t, normalizedPrefix, now);
+      const hit = byTerm.get(t.term);
+      if (hit) {
+        hit.score += score;
+        hit.kinds.push(t.kind);
+      } else {
+        byTerm.set(t.term, { text: t.kind === 'query' ? t.term : t.display, kinds: [t.kind], score });
+      }
+    }
+
+    return [...byTerm.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, size)
+      .map((s) => ({ ...s, score: Math.round(s.score * 1000) / 1000 }));
+  });
+}
+
+module.exports = {
+  MAX_LIMIT,
+  refreshSearchTerms,
+  suggest,
+};
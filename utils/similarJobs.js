@@ -0,0 +1,123 @@
+// utils/similarJobs.js
+// "Similar jobs" for the job detail page. Candidates come from indexed
+// lookups (shared vector terms, skills or categories), ranked by overlap;
+// only the top ones are scored.
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { buildTermVector, cosine } = require('./termVector');
+const { escapeRegex } = require('./jobSearch');
+
+const WEIGHTS = { text: 0.4, skills: 0.25, categories: 0.15, jobType: 0.1, location: 0.1 };
+// Same city counts fully, same province or region partly
+const LOCATION_SCORES = [['city', 1], ['province', 0.7], ['region', 0.4]];
+const CANDIDATES = 200;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 20;
+
+const normalizeList = (list) => new Set((list || []).map((s) => String(s).trim().toLowerCase()).filter(Boolean));
+const idOf = (ref) => String(ref?._id ?? ref ?? '');
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return { score: 0, shared: [] };
+  const shared = [...a].filter((x) => b.has(x));
+  return { score: shared.length / (a.size + b.size - shared.length), shared };
+}
+
+function locationScore(a, b) {
+  for (const [level, score] of LOCATION_SCORES) {
+    if (a[level]?.code && a[level].code === b[level]?.code) return score;
+  }
+  return 0;
+}
+
+function scoreSimilarity(source, job) {
+  const skills = jaccard(source.skills, normalizeList(job.skillsRequired));
+  const categories = jaccard(source.categories, normalizeList(job.categories));
+  const score =
+    WEIGHTS.text * cosine(source.termVector, job.termVector) +
+    WEIGHTS.skills * skills.score +
+    WEIGHTS.categories * categories.score +
+    WEIGHTS.jobType * (source.jobType && source.jobType === job.jobType ? 1 : 0) +
+    WEIGHTS.location * locationScore(source, job);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    sharedSkills: skills.shared,
+    sharedCategories: categories.shared,
+  };
+}
+
+/**
+ * Most similar active, approved, open jobs to `jobId`.
+ * @returns {Promise<?Array>} null when the job does not exist
+ */
+async function findSimilarJobs({ jobId, limit = DEFAULT_LIMIT, excludeSameCompany = false, userId, now = new Date() }) {
+  const job = await Job.findById(jobId)
+    .select('+termVector title shortDescription description skillsRequired categories jobType company region province city')
+    .lean();
+  if (!job) return null;
+
+  const source = {
+    ...job,
+    // Jobs saved before vectors existed (until scripts/backfillTermVectors.js runs)
+    termVector: job.termVector?.length ? job.termVector : buildTermVector(job),
+    skills: normalizeList(job.skillsRequired),
+    categories: normalizeList(job.categories),
+  };
+
+  const exact = (list) => list.map((s) => new RegExp(`^${escapeRegex(s)}$`, 'i'));
+  const signals = [
+    ...(source.termVector.length ? [{ 'termVector.term': { $in: source.termVector.map((t) => t.term) } }] : []),
+    ...(source.skills.size ? [{ skillsRequired: { $in: exact([...source.skills]) } }] : []),
+    ...(source.categories.size ? [{ categories: { $in: exact([...source.categories]) } }] : []),
+  ];
+  if (!signals.length) return [];
+
+  // Rank by how many terms, skills and categories a job shares before
+  // scoring, so the best matches are scored however old they are
+  const lower = (field) => ({ $map: { input: { $ifNull: [field, []] }, in: { $toLower: { $trim: { input: '$$this' } } } } });
+  const overlap = (values, list) => ({ $size: { $setIntersection: [values, list] } });
+  const companyId = idOf(job.company);
+  const ranked = await Job.aggregate([
+    {
+      $match: {
+        _id: { $ne: job._id },
+        ...(excludeSameCompany && companyId ? { company: { $ne: new mongoose.Types.ObjectId(companyId) } } : {}),
+        status: 'active',
+        isApproved: true,
+        $and: [{ $or: [{ applicationDeadline: null }, { applicationDeadline: { $gte: now } }] }, { $or: signals }],
+      },
+    },
+    {
+      $project: {
+        createdAt: 1,
+        overlap: {
+          $add: [
+            overlap({ $ifNull: ['$termVector.term', []] }, source.termVector.map((t) => t.term)),
+            overlap(lower('$skillsRequired'), [...source.skills]),
+            overlap(lower('$categories'), [...source.categories]),
+          ],
+        },
+      },
+    },
+    { $sort: { overlap: -1, createdAt: -1 } },
+    { $limit: CANDIDATES },
+  ]);
+  const candidates = ranked.length
+    ? await Job.find({ _id: { $in: ranked.map((r) => r._id) } }).select('+termVector').lean()
+    : [];
+
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return candidates
+    .map(({ termVector, ...rest }) => ({
+      ...Job.withSavedFlag(rest, userId),
+      similarity: scoreSimilarity(source, { ...rest, termVector }),
+    }))
+    .sort((a, b) => b.similarity.score - a.similarity.score)
+    .slice(0, size);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  findSimilarJobs,
+};
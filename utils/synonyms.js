@@ -0,0 +1,122 @@
+// utils/synonyms.js
+// Query expansion with the admin synonym dictionary (models/Synonym.js), so
+// "aircraft maintenance technician" also finds "amt". $text ORs its words,
+// so one-word synonyms are appended to the query rather than replacing
+// anything. Longer phrases, and terms $text would split ("a&p" is a, p),
+// can't go there: their words would each match on their own ("air",
+// "service", ...), and quoted phrases are no help since $text requires every
+// phrase in the search. Those match as whole phrases instead (matchPhrases).
+const Job = require('../models/Job');
+const Synonym = require('../models/Synonym');
+const { createTtlCache } = require('./ttlCache');
+const { tokenize, escapeRegex } = require('./jobSearch');
+
+const dictionaryCache = createTtlCache({ ttlMs: 5 * 60 * 1000, max: 1 });
+
+// One word to $text too, which also splits on punctuation ("a&p" is a, p)
+const isSingleWord = (s) => /^[\p{L}\p{N}]+$/u.test(s);
+
+/* ----------------------------- Dictionary ----------------------------- */
+/**
+ * phrase -> phrases it expands to, over active entries. Cached; admin
+ * writes call clearSynonymCache().
+ * @returns {Promise<{expansions: Map<string, Set<string>>, maxWords: number}>}
+ */
+async function loadSynonyms() {
+  return dictionaryCache.wrap('synonyms', async () => {
+    const entries = await Synonym.find({ isActive: true }).select('direction input terms').lean();
+    return buildDictionary(entries);
+  });
+}
+
+function buildDictionary(entries) {
+  const expansions = new Map();
+  const add = (from, to) => {
+    if (from === to) return;
+    if (!expansions.has(from)) expansions.set(from, new Set());
+    expansions.get(from).add(to);
+  };
+
+  for (const { direction, input, terms = [] } of entries) {
+    if (direction === 'one-way') terms.forEach((t) => add(input, t));
+    else terms.forEach((from) => terms.forEach((to) => add(from, to)));
+  }
+
+  const maxWords = Math.max(1, ...[...expansions.keys()].map((k) => k.split(' ').length));
+  return { expansions, maxWords };
+}
+
+const clearSynonymCache = () => dictionaryCache.clear();
+
+/* ------------------------------ Expansion ------------------------------ */
+/**
+ * Expand `q` with the dictionary's synonyms, longest phrase first
+ * ("b1 license" wins over "b1"): one-word synonyms are appended to the
+ * $text query, the rest come back as `phrases`. Words already in the
+ * query are not added again.
+ * @param {?Object} dict from loadSynonyms(); null expands nothing
+ * @returns {{query:string, phrases:string[], expansion:Array<{term:string, synonyms:string[]}>}}
+ */
+function expandQuery(q, dict) {
+  const { expansions, maxWords } = dict || {};
+  const words = tokenize(q);
+  if (!words.length || !expansions?.size) return { query: q, phrases: [], expansion: [] };
+
+  const present = new Set(words);
+  const expansion = [];
+  for (let i = 0; i < words.length; ) {
+    let matched = 0;
+    for (let n = Math.min(maxWords, words.length - i); n >= 1 && !matched; n--) {
+      const term = words.slice(i, i + n).join(' ');
+      if (!expansions.has(term)) continue;
+      matched = n;
+      const synonyms = [...expansions.get(term)].filter((s) => !present.has(s));
+      if (synonyms.length) expansion.push({ term, synonyms });
+    }
+    i += matched || 1;
+  }
+
+  const all = [...new Set(expansion.flatMap((e) => e.synonyms))];
+  const extra = all.filter(isSingleWord);
+  return {
+    query: extra.length ? `${q} ${extra.join(' ')}` : q,
+    phrases: all.filter((s) => !isSingleWord(s)),
+    expansion,
+  };
+}
+
+/* ---------------------------- Phrase match ---------------------------- */
+// Whole words only, any run of spaces/hyphens between them, any case
+const phraseRegex = (phrase) =>
+  new RegExp(`(?<![a-z0-9])${phrase.split(' ').map(escapeRegex).join('[\\s-]+')}(?![a-z0-9])`, 'i');
+
+/**
+ * Widen a $text match so jobs containing any of `phrases` match too. $text
+ * can only be ORed with indexed clauses, so the phrase hits (under the rest
+ * of the filter) are looked up first and ORed in by _id.
+ * @param {Object} match filter with a top-level $text
+ * @param {string[]} phrases from expandQuery()
+ * @returns {Promise<Object>} the match, unchanged when no phrase matches
+ */
+async function matchPhrases(match, phrases = []) {
+  if (!phrases.length || !match.$text) return match;
+  const { $text, ...rest } = match;
+  const and = rest.$and || [];
+
+  const anyPhrase = phrases.flatMap((phrase) => {
+    const re = phraseRegex(phrase);
+    return Object.keys(Job.TEXT_WEIGHTS).map((field) => ({ [field]: re }));
+  });
+  const ids = await Job.distinct('_id', { ...rest, $and: [...and, { $or: anyPhrase }] });
+  if (!ids.length) return match;
+
+  return { ...rest, $and: [...and, { $or: [{ $text }, { _id: { $in: ids } }] }] };
+}
+
+module.exports = {
+  loadSynonyms,
+  buildDictionary,
+  clearSynonymCache,
+  expandQuery,
+  matchPhrases,
+};
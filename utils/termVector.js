@@ -0,0 +1,50 @@
+// utils/termVector.js
+// Sparse, unit-length term vectors for "similar jobs". Built once when a job
+// is saved (models/Job.js) so comparing two jobs is a short dot product.
+const { STOPWORDS, tokenize, stem } = require('./text');
+
+const MAX_TERMS = 25;
+const FIELD_WEIGHTS = { title: 3, shortDescription: 2, description: 1 };
+
+// Words in nearly every posting; they would make every job look alike
+const GENERIC_TERMS = new Set([
+  'job', 'work', 'intern', 'internship', 'ojt', 'student', 'trainee', 'position', 'role', 'company',
+  'will', 'must', 'our', 'you', 'your', 'are', 'able', 'who', 'this', 'that', 'from', 'as', 'is', 'be',
+  'we', 'can', 'all', 'per', 'day', 'year', 'philippine', 'apply', 'applicant',
+]);
+
+const isUseful = (word) => !STOPWORDS.has(word) && !GENERIC_TERMS.has(word) && (word.length > 2 || /\d/.test(word));
+
+/**
+ * Top terms of a job's title and descriptions with log-scaled, field-
+ * weighted frequencies, normalised to length 1.
+ * @returns {Array<{term:string, weight:number}>}
+ */
+function buildTermVector(job = {}) {
+  const freq = new Map();
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const word of tokenize(job[field])) {
+      const term = stem(word);
+      if (isUseful(word) && isUseful(term)) freq.set(term, (freq.get(term) || 0) + weight);
+    }
+  }
+
+  const top = [...freq]
+    .map(([term, f]) => [term, 1 + Math.log(f)])
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS);
+  const norm = Math.sqrt(top.reduce((sum, [, w]) => sum + w * w, 0));
+  return top.map(([term, w]) => ({ term, weight: Math.round((w / norm) * 10000) / 10000 }));
+}
+
+// Cosine similarity of two unit vectors
+function cosine(a = [], b = []) {
+  const weights = new Map(a.map((t) => [t.term, t.weight]));
+  return b.reduce((sum, t) => sum + (weights.get(t.term) || 0) * t.weight, 0);
+}
+
+module.exports = {
+  TERM_VECTOR_FIELDS: Object.keys(FIELD_WEIGHTS),
+  buildTermVector,
+  cosine,
+};
@@ -0,0 +1,33 @@
+// utils/text.js
+// Word-level helpers shared by search, highlighting and the models that
+// precompute search data (no model imports, so models can require it).
+
+/* ------------------------------- Terms ------------------------------- */
+const STOPWORDS = new Set(['and', 'or', 'the', 'of', 'for', 'in', 'to', 'a', 'an', 'with', 'at', 'on']);
+
+// Lowercased, accent-free words; keeps "a&p", "c++", "c#"
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[a-z0-9][a-z0-9+#&]*/g) || [];
+}
+
+// Light suffix stripping, close enough to $text's English stemming that
+// "mechanics" highlights for "mechanic" and "repairing" for "repair"
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (/ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/ing$/.test(word) && word.length > 6) return word.slice(0, -3);
+  if (/ed$/.test(word) && word.length > 5) return word.slice(0, -2);
+  if (/[^su]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  stem,
+};
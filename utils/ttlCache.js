@@ -0,0 +1,35 @@
+// utils/ttlCache.js
+// Tiny in-process cache with expiry and a size cap (oldest entry evicted).
+// Per instance only; good for hot read paths that tolerate slightly stale data.
+
+function createTtlCache({ ttlMs = 60 * 1000, max = 500 } = {}) {
+  const entries = new Map();
+
+  function get(key) {
+    const hit = entries.get(key);
+    if (!hit) return undefined;
+    if (hit.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return hit.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    if (entries.size >= max) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  // Return the cached value or compute, cache and return it
+  async function wrap(key, compute) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    return set(key, await compute());
+  }
+
+  return { get, set, wrap, clear: () => entries.clear() };
+}
+
+module.exports = { createTtlCache };